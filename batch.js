@@ -0,0 +1,110 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { DiskAssetSource } from './scripts/disk_asset_source.js';
+import { DEFAULT_EXPERIMENT, runExperiment, runsToCSV, slotsToCSV } from './scripts/batch_experiment.js';
+
+/**
+ * Experimentos por lotes desde la línea de comandos (sin navegador)
+ *
+ * Uso:
+ * node batch.js --config experiments/ejemplo.json --runs 100 --out slots.csv --runs-out corridas.csv
+ * node batch.js --scene scenes/pueblo.json --intensity 2:5 --width 40:80 --format json --out resultado.json
+ */
+
+const HELP = `Uso: node batch.js [opciones]
+
+  --scene <ruta>         Manifiesto del pueblo (default: scenes/pueblo.json)
+  --config <ruta>        Experimento en JSON (rangos, corridas, edificios); las opciones lo sobrescriben
+  --runs <n>             Cantidad de corridas
+  --seed <n>             Semilla del experimento
+  --duration <s>         Segundos simulados por corrida
+  --intensity <min:max>  Intensidad EF
+  --width <min:max>      Diámetro del embudo en metros
+  --speed <min:max>      Velocidad de avance en m/s
+  --heading <min:max>    Rumbo en grados (0 = +X, 90 = +Z)
+  --offset <m>           Distancia máxima del recorrido al centro del pueblo
+  --format <csv|json>    Formato de --out (default: csv)
+  --out <ruta>           Resultado (CSV: estadísticas por slot; JSON: todo). Default: salida estándar
+  --runs-out <ruta>      CSV con una fila por edificio y corrida
+  --help
+`;
+
+const RANGE_OPTIONS = ['intensity', 'width', 'speed', 'heading'];
+const NUMBER_OPTIONS = ['runs', 'seed', 'duration', 'offset'];
+
+const ROOT_DIR = fileURLToPath(new URL('.', import.meta.url));
+
+const { values } = parseArgs({
+    options: {
+        scene: { type: 'string', default: 'scenes/pueblo.json' },
+        config: { type: 'string' },
+        format: { type: 'string', default: 'csv' },
+        out: { type: 'string' },
+        'runs-out': { type: 'string' },
+        help: { type: 'boolean', default: false },
+        ...Object.fromEntries([...RANGE_OPTIONS, ...NUMBER_OPTIONS].map((name) => [name, { type: 'string' }]))
+    }
+});
+
+if (values.help) {
+    process.stdout.write(HELP);
+    process.exit(0);
+}
+
+if (!['csv', 'json'].includes(values.format)) {
+    throw new Error(`Formato desconocido: ${values.format} (válidos: csv, json)`);
+}
+
+const manifest = JSON.parse(await readFile(values.scene, 'utf8'));
+const experiment = values.config ? JSON.parse(await readFile(values.config, 'utf8')) : {};
+
+NUMBER_OPTIONS.forEach((name) => {
+    if (values[name] !== undefined) experiment[name] = parseNumber(values[name], name);
+});
+RANGE_OPTIONS.forEach((name) => {
+    if (values[name] !== undefined) experiment[name] = parseRange(values[name], name);
+});
+
+const totalRuns = experiment.runs ?? DEFAULT_EXPERIMENT.runs;
+const result = await runExperiment(manifest, experiment, {
+    assetSource: new DiskAssetSource(ROOT_DIR),
+    onRun: (run, index) => {
+        const damaged = run.buildings.filter((building) => building.stage !== 'intact').length;
+        process.stderr.write(
+            `Corrida ${index + 1}/${totalRuns}: ` +
+            `EF ${run.track.intensity.toFixed(1)}, ${damaged}/${run.buildings.length} edificios dañados\n`
+        );
+    }
+});
+
+const output = values.format === 'json'
+    ? JSON.stringify(result, null, 2) + '\n'
+    : slotsToCSV(result.slots);
+
+if (values.out) {
+    await writeFile(values.out, output);
+} else {
+    process.stdout.write(output);
+}
+
+if (values['runs-out']) {
+    await writeFile(values['runs-out'], runsToCSV(result.runs));
+}
+
+function parseNumber(text, name) {
+    const value = Number(text);
+    if (!Number.isFinite(value)) {
+        throw new Error(`--${name}: se esperaba un número: ${text}`);
+    }
+    return value;
+}
+
+function parseRange(text, name) {
+    const parts = text.split(':').map((part) => parseNumber(part, name));
+    if (parts.length === 1) return [parts[0], parts[0]];
+    if (parts.length !== 2 || parts[0] > parts[1]) {
+        throw new Error(`--${name}: se esperaba min:max: ${text}`);
+    }
+    return parts;
+}
@@ -1,12 +1,24 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es'; 
 import { GUI } from 'dat.gui';
 import { MovementControls } from './scripts/controles_mov.js';
-import { Tornado } from './scripts/tornado.js';
-import { ModelLoader } from './scripts/model_loader.js';
-import { PlacementSystem } from './scripts/placement_system.js';
+import { Simulation } from './scripts/simulation.js';
+import { PlacementUI } from './scripts/placement_ui.js';
 import { DestructibleSystem } from './scripts/destructible_system.js';
-import { BuildingSlots } from './scripts/building_slots.js';
+import { BuildingSlotsUI } from './scripts/building_slots_ui.js';
+import { LoadingTracker } from './scripts/loading_tracker.js';
+import { LoadingOverlay } from './scripts/loading_overlay.js';
+import { loadManifest, createTornadoPaths } from './scripts/scene_manifest.js';
+import { SaveSystem } from './scripts/save_system.js';
+import { MIN_TIME_SCALE, MAX_TIME_SCALE, formatSimTime } from './scripts/simulation_clock.js';
+import { ReplayRecorder } from './scripts/replay_recorder.js';
+import { ReplayPlayer } from './scripts/replay_player.js';
+import { downloadReplay, readReplayFromFile } from './scripts/replay_format.js';
+import { ScenarioRunner, loadScenario } from './scripts/scenario.js';
+import { DamageReport } from './scripts/damage_report.js';
+import { DamageReportPanel } from './scripts/damage_report_panel.js';
+
+// Escena a cargar: tipos de edificio, objetos, slots, suelo y tornados
+const SCENE_MANIFEST_URL = './scenes/pueblo.json';
 
 // --- Configuración Visual (Three.js) ---
 const scene = new THREE.Scene();
@@ -46,74 +58,103 @@ const hemiLight = new THREE.HemisphereLight(0x87ceeb, 0x444444, 0.6);
 hemiLight.position.set(0, 50, 0);
 scene.add(hemiLight);
 
-// --- Configuración del Mundo Físico ---
-const physicsWorld = new CANNON.World({
-    gravity: new CANNON.Vec3(0, -9.82, 0)
-});
-
-
-
+// Pantalla de carga: progreso de todas las descargas y lista de fallos
+const loadingTracker = new LoadingTracker();
+const loadingOverlay = new LoadingOverlay(loadingTracker);
+
+// --- Manifiesto de la escena ---
+// Si no se puede cargar o no es válido, la pantalla de carga muestra el motivo
+let manifest;
+try {
+    manifest = await loadManifest(SCENE_MANIFEST_URL);
+} catch (error) {
+    loadingTracker.fail(SCENE_MANIFEST_URL, error);
+    throw error;
+}
 
-// --- Tornado ---
-const tornado = new Tornado(scene);
+// Cada tornado crea su propia trayectoria a partir de estas fábricas
+const tornadoPaths = createTornadoPaths(manifest);
 
 // --- Reloj ---
+// clock mide el tiempo real de cada frame; simClock (el de la simulación) lo reparte
+// en pasos fijos para que física, tornados y edificios avancen siempre juntos
 const clock = new THREE.Clock();
 
-// --- Objeto para controlar la pausa de la animación ---
-const animationControl = {
-    isRunning: true
-};
-
 // --- Controles ---
 const controls = new MovementControls(camera, document.body);
 
 // --- GUI para controlar parámetros del tornado ---
 const gui = new GUI();
 
-// Carpeta para parámetros del tornado
-const tornadoFolder = gui.addFolder('Tornado');
-tornadoFolder.add(tornado, 'tornadoForceStrength', 1000, 5000, 100).name('Fuerza');
-tornadoFolder.add(tornado, 'maxRadius', 10, 30, 5).name('Radio Máximo');
-tornadoFolder.add(tornado, 'maxHeight', 30, 50, 10).name('Altura Máxima');
-tornadoFolder.add(tornado, 'particleCount', 200, 10000, 100).name('Partículas').onChange((value) => {
-    tornado.setParticleCount(Math.floor(value));
+// --- Simulación ---
+// Física, tornados, edificios y escombros (el mismo núcleo que corre sin navegador).
+// Cada tornado tiene su propia sub-carpeta dentro de 'Tornados'
+const tornadoesFolder = gui.addFolder('Tornados');
+const simulation = new Simulation({
+    scene,
+    tracker: loadingTracker,
+    tornadoOptions: {
+        gui: tornadoesFolder,
+        guiOptions: { paths: tornadoPaths, intensityProfile: manifest.tornado?.intensityProfile }
+    }
 });
-tornadoFolder.add(tornado.velocity, 'x', -6, 6, 1).name('Velocidad X');
-tornadoFolder.add(tornado.velocity, 'z', -6, 6, 1).name('Velocidad Z');
-tornadoFolder.open();
+const { physicsWorld, modelLoader, placer, buildingSlots, debrisManager, tornadoManager } = simulation;
+const simClock = simulation.clock;
+
+const outbreakControl = {
+    spawn: () => {
+        const leader = tornadoManager.getActive()[0];
+        const x = leader ? leader.position.x + 40 : 0;
+        const z = leader ? leader.position.z : 80;
+        tornadoManager.spawn({ position: [x, 0, z], intensity: 1.5, particleCount: 4000 });
+    },
+    satellite: () => {
+        const leader = tornadoManager.getActive()[0];
+        if (leader) {
+            tornadoManager.spawnSatellite(leader.id, { orbitRadius: leader.maxRadius + 10 });
+        }
+    }
+};
+tornadoesFolder.add(outbreakControl, 'spawn').name('➕ Nuevo tornado');
+tornadoesFolder.add(outbreakControl, 'satellite').name('➕ Tornado satélite');
+tornadoesFolder.open();
 
-// Carpeta de controles de animación
-const animationFolder = gui.addFolder('Animación');
-animationFolder.add(animationControl, 'isRunning').name('Play/Pausa');
-animationFolder.open();
+// El resto de la app puede reaccionar a los cambios de fase
+tornadoManager.on('phaseChange', ({ tornado, phase, previousPhase }) => {
+    console.log(`🌪️ ${tornado.id}: ${previousPhase} → ${phase}`);
+});
 
-// --- Cargar modelo 3D con física ---
-const modelLoader = new ModelLoader(scene, physicsWorld);
-
-// Cargar el modelo del suelo
-modelLoader.load('./assets/Suelo.glb', {
-    mass: 0, // 0 = estático (no se mueve)
-    position: [0, 0, 0],
-    scale: 1,
-    friction: 0.5,
-    restitution: 0.2,
-    onLoad: (modelData) => {
-        console.log('✓ Suelo cargado con física');
+// Daños y fallos de carga (el HUD, el audio o las estadísticas se suscriben igual)
+simulation.events.on('buildingDamaged', ({ buildingId, stage, windSpeed, tornadoId, cause }) => {
+    if (cause === 'impact') {
+        console.log(`🏚️ ${buildingId}: ${stage} (golpe de escombros)`);
+        return;
     }
-}).catch(error => {
-    console.error('No se pudo cargar el suelo:', error);
+    console.log(`🏚️ ${buildingId}: ${stage} (${Math.round(windSpeed * 3.6)} km/h, ${tornadoId ?? 'sin tornado'})`);
 });
+simulation.events.on('propBroken', ({ id, impulse }) => console.log(`💥 ${id} se rompió (golpe de ${impulse.toFixed(0)} N·s)`));
+simulation.events.on('assetLoadFailed', ({ path, error }) => console.warn(`⚠️ No se pudo cargar ${path}: ${error.message}`));
 
-// --- Sistema de Colocación de Objetos ---
-const placer = new PlacementSystem(scene, camera, renderer, modelLoader, physicsWorld);
+// Carpeta de controles de animación
+const animationControl = {
+    get simTime() {
+        return formatSimTime(simClock.time);
+    },
+    stepOnce: () => simClock.stepOnce()
+};
+const animationFolder = gui.addFolder('Animación');
+animationFolder.add(simClock, 'running').name('Play/Pausa')
+    .onChange((running) => (running ? simClock.resume() : simClock.pause()));
+animationFolder.add(simClock, 'timeScale', MIN_TIME_SCALE, MAX_TIME_SCALE, 0.05).name('Velocidad');
+animationFolder.add(animationControl, 'stepOnce').name('⏭️ Paso (en pausa)');
+animationFolder.add(animationControl, 'simTime').name('Tiempo sim.').listen();
+animationFolder.open();
 
-// Agregar assets disponibles
-placer.addAsset('Coche', './assets/coche_item.glb', { mass: 5 });
-placer.addAsset('Poste de Luz', './assets/poste_luz_item.glb', { mass: 2 });
+// --- Sistema de Colocación de Objetos (click derecho) ---
+const placementUI = new PlacementUI(placer, camera);
 
 // --- Sistema de Destructibilidad ---
-const destructibles = new DestructibleSystem(modelLoader, physicsWorld);
+const destructibles = new DestructibleSystem(modelLoader, physicsWorld, { events: simulation.events });
 
 // Ejemplo: Agregar edificios destructibles en posiciones específicas
 // destructibles.addDestructible(
@@ -126,42 +167,221 @@ const destructibles = new DestructibleSystem(modelLoader, physicsWorld);
 // Puedes agregar más edificios:
 // destructibles.addDestructible('edificio_2', '...', '...', [20, 5, 0]);
 
-// Puedes agregar más assets según necesites:
-// placer.addAsset('Arbol', './assets/arbol.glb');
-// placer.addAsset('Casa', './assets/casa.glb');
-
-// --- Sistema de Slots de Edificios ---
-const buildingSlots = new BuildingSlots(scene, camera, renderer, modelLoader, physicsWorld);
-
-// Conectar tornado al sistema de slots para aplicar fuerzas y daños
-buildingSlots.setTornado(tornado);
-
-// Registrar tipos de edificios disponibles
-buildingSlots.addBuilding('Casa', {
-    intact: './assets/casa_0.glb',
-    cracked: './assets/casa_0_cracked.glb'
-}, { debrisMass: 2
- });
-
-buildingSlots.addBuilding('Edificio 1', {
-    intact: './assets/casa_1.glb',
-    cracked: './assets/casa_1_cracked.glb'
-}, { debrisMass: 2 });
-
-buildingSlots.addBuilding('Casa 2 pisos', {
-    intact: './assets/casa_2.glb',
-    cracked: './assets/casa_2_cracked.glb'
-}, { debrisMass: 2 });
+// --- Sistema de Slots de Edificios (click izquierdo) ---
+const buildingSlotsUI = new BuildingSlotsUI(buildingSlots, camera);
+
+const debrisFolder = gui.addFolder('Escombros');
+debrisFolder.add(debrisManager, 'maxBodies', 50, 1000, 50).name('Máx. cuerpos');
+debrisFolder.add(debrisManager, 'maxAge', 30, 600, 30).name('Vida máx. (s)');
+debrisFolder.add(debrisManager, 'settleTime', 0.5, 10, 0.5).name('Asentado (s)');
+debrisFolder.add(debrisManager, 'liveCount').name('Vivos').listen();
+debrisFolder.add(debrisManager, 'rubbleCount').name('Congelados').listen();
+
+// Tipos de edificio y de objeto, slots, suelo, edificios iniciales y tornados del manifiesto
+// (la clase de construcción define con qué viento fallan y cómo se comportan sus escombros)
+const sceneReady = simulation.load(manifest);
+
+// La simulación (física y tornados) no arranca hasta que los assets necesarios estén listos
+let simulationReady = false;
+sceneReady
+    .then(() => loadingOverlay.finish())
+    .then(() => {
+        simulationReady = true;
+    });
+
+// --- Guardar / Cargar ---
+const saveSystem = new SaveSystem({ placer, buildingSlots, tornadoManager });
+
+// La simulación se detiene mientras se cargan los modelos del estado guardado
+const restoreWith = (load) => {
+    simulationReady = false;
+    load()
+        .catch((error) => console.error('No se pudo cargar la partida:', error))
+        .finally(() => {
+            simulationReady = true;
+        });
+};
 
+const saveControl = {
+    slot: 'partida1',
+    includeDebris: true,
+    save: () => {
+        try {
+            saveSystem.saveToStorage(saveControl.slot, { includeDebris: saveControl.includeDebris });
+            console.log(`💾 Partida guardada: ${saveControl.slot}`);
+        } catch (error) {
+            console.error(error);
+        }
+    },
+    load: () => restoreWith(() => saveSystem.loadFromStorage(saveControl.slot)),
+    exportFile: () => saveSystem.exportToFile(`${saveControl.slot}.json`, { includeDebris: saveControl.includeDebris }),
+    importFile: () => {
+        saveSystem.readStateFromFile()
+            .then((state) => restoreWith(() => saveSystem.restore(state)))
+            .catch((error) => console.error('No se pudo leer el archivo:', error));
+    }
+};
 
+const saveFolder = gui.addFolder('Guardar / Cargar');
+saveFolder.add(saveControl, 'slot').name('Partida');
+saveFolder.add(saveControl, 'includeDebris').name('Incluir escombros');
+saveFolder.add(saveControl, 'save').name('💾 Guardar');
+saveFolder.add(saveControl, 'load').name('📂 Cargar');
+saveFolder.add(saveControl, 'exportFile').name('⬇️ Exportar archivo');
+saveFolder.add(saveControl, 'importFile').name('⬆️ Importar archivo');
+
+// --- Informe de daños ---
+// Edificios dañados, distancia al recorrido, escombros y pérdida estimada desde el último reinicio
+const damageReport = new DamageReport(simulation);
+const damageReportPanel = new DamageReportPanel(damageReport);
+
+const reportControl = {
+    show: () => damageReportPanel.toggle(),
+    reset: () => {
+        damageReport.reset();
+        if (damageReportPanel.visible) damageReportPanel.show();
+    }
+};
+const reportFolder = gui.addFolder('Informe de daños');
+reportFolder.add(reportControl, 'show').name('📊 Ver / ocultar informe');
+reportFolder.add(reportControl, 'reset').name('🔄 Empezar informe nuevo');
+
+// --- Reparar ---
+// Volver a correr la misma tormenta sin recargar la página
+const repairControl = {
+    repairAll: () => buildingSlots.repairAll(),
+    resetTown: () => {
+        simulation.resetTown().then(() => reportControl.reset());
+    }
+};
+const repairFolder = gui.addFolder('Reparar');
+repairFolder.add(repairControl, 'repairAll').name('🔧 Reparar todo');
+repairFolder.add(repairControl, 'resetTown').name('🏘️ Reiniciar pueblo');
+
+// --- Escenarios ---
+// Eventos programados (tornados, edificios, cámara...) para que las demos salgan siempre igual
+const scenarioRunner = new ScenarioRunner(simulation, { tornadoPaths });
+scenarioRunner.registerAction('camera', ({ position, lookAt }) => {
+    camera.position.set(...position);
+    if (lookAt) camera.lookAt(...lookAt);
+    controls.updateEulerFromCamera();
+}, { required: ['position'] });
+scenarioRunner.registerAction('destroy', ({ id }) => destructibles.destroy(id), { required: ['id'] });
+scenarioRunner.on('event', ({ event }) => console.log(`🎬 ${formatSimTime(event.time)} ${event.action}`));
+
+const scenarioControl = {
+    url: './scenarios/demo.json',
+    get name() {
+        return scenarioRunner.scenario?.name ?? '(ninguno)';
+    },
+    get next() {
+        const event = scenarioRunner.nextEvent;
+        return event ? `${formatSimTime(event.time)} ${event.action}` : '—';
+    },
+    get time() {
+        return formatSimTime(scenarioRunner.time);
+    },
+    load: () => {
+        loadScenario(scenarioControl.url, Object.keys(scenarioRunner.actions))
+            .then((scenario) => scenarioRunner.load(scenario))
+            .catch((error) => console.error('No se pudo cargar el escenario:', error));
+    },
+    play: () => {
+        try {
+            scenarioRunner.play();
+            damageReport.reset();
+        } catch (error) {
+            console.error(error);
+        }
+    },
+    restart: () => restoreWith(() => scenarioRunner.restart().then(() => damageReport.reset())),
+    skip: () => scenarioRunner.skipToNextEvent()
+};
 
-// Crear slots (posiciones donde puedes colocar edificios)
-// Slot de prueba en posiciónds [30, 0, 0]
-for (let i = 0; i < 5; i++) {
-    for (let j = 0; j < 4; j++) {
-        buildingSlots.addSlot(`slot_${i}_${j}`, [-34 + i * 17, 0.4, -37 + j * 10], { size: 1 });
+const scenarioFolder = gui.addFolder('Escenario');
+scenarioFolder.add(scenarioControl, 'url').name('Archivo');
+scenarioFolder.add(scenarioControl, 'load').name('📂 Cargar');
+scenarioFolder.add(scenarioControl, 'name').name('Escenario').listen();
+scenarioFolder.add(scenarioControl, 'play').name('▶️ Reproducir');
+scenarioFolder.add(scenarioControl, 'restart').name('🔄 Reiniciar');
+scenarioFolder.add(scenarioControl, 'skip').name('⏭️ Ir al próximo evento');
+scenarioFolder.add(scenarioControl, 'next').name('Próximo').listen();
+scenarioFolder.add(scenarioControl, 'time').name('Tiempo').listen();
+
+// --- Grabación y repetición ---
+// La repetición no corre física: mientras se ve, la simulación en vivo queda congelada
+const replayRecorder = new ReplayRecorder(simulation);
+const replayPlayer = new ReplayPlayer(simulation);
+
+const replayControl = {
+    get recording() {
+        return replayRecorder.isRecording;
+    },
+    set recording(value) {
+        if (value) {
+            replayRecorder.start();
+        } else {
+            replayRecorder.stop();
+        }
+    },
+    get watching() {
+        return replayPlayer.active;
+    },
+    set watching(value) {
+        if (!value) {
+            replayPlayer.exit();
+            return;
+        }
+        if (replayRecorder.isRecording) replayRecorder.stop();
+        if (!replayRecorder.recording) return;
+
+        // Volver a cargar solo si la grabación cambió
+        const loading = replayPlayer.recording === replayRecorder.recording
+            ? Promise.resolve()
+            : replayPlayer.load(replayRecorder.recording);
+        loading
+            .then(() => replayPlayer.enter())
+            .then(() => replayTimeController.max(replayPlayer.duration))
+            .catch((error) => console.error('No se pudo preparar la repetición:', error));
+    },
+    get time() {
+        return replayPlayer.time;
+    },
+    set time(value) {
+        replayPlayer.seek(value);
+    },
+    get timeLabel() {
+        return `${formatSimTime(replayPlayer.time)} / ${formatSimTime(replayPlayer.duration)}`;
+    },
+    nextEvent: () => {
+        const event = replayPlayer.nextEvent();
+        if (event) console.log(`🏚️ ${formatSimTime(event.time)} ${event.buildingId}: ${event.stage}`);
+    },
+    exportJSON: () => replayRecorder.recording && downloadReplay(replayRecorder.recording, 'repeticion.json'),
+    exportBinary: () => replayRecorder.recording && downloadReplay(replayRecorder.recording, 'repeticion.trep'),
+    importFile: () => {
+        readReplayFromFile()
+            .then((recording) => {
+                replayRecorder.stop();
+                replayRecorder.recording = recording;
+                replayPlayer.exit();
+                replayControl.watching = true;
+            })
+            .catch((error) => console.error('No se pudo leer la grabación:', error));
     }
-}
+};
+
+const replayFolder = gui.addFolder('Repetición');
+replayFolder.add(replayControl, 'recording').name('⏺️ Grabar').listen();
+replayFolder.add(replayControl, 'watching').name('🎞️ Ver repetición').listen();
+const replayTimeController = replayFolder.add(replayControl, 'time', 0, 1, 0.01).name('Tiempo').listen();
+replayFolder.add(replayControl, 'timeLabel').name('Posición').listen();
+replayFolder.add(replayPlayer, 'playing').name('Play/Pausa').listen();
+replayFolder.add(replayPlayer, 'speed', -4, 4, 0.25).name('Velocidad (− = atrás)');
+replayFolder.add(replayControl, 'nextEvent').name('⏭️ Próximo daño');
+replayFolder.add(replayControl, 'exportJSON').name('⬇️ Exportar JSON');
+replayFolder.add(replayControl, 'exportBinary').name('⬇️ Exportar binario');
+replayFolder.add(replayControl, 'importFile').name('⬆️ Importar grabación');
 
 // --- Loop de Animación ---
 function animate() {
@@ -169,30 +389,17 @@ function animate() {
     
     const delta = clock.getDelta();
     
-    // Actualizar controles y tornado SIEMPRE (incluso en pausa)
+    // Actualizar controles SIEMPRE (incluso en pausa)
     controls.update(delta);
     
-    // Si la animación está pausada, solo renderizar sin actualizar física
-    if (!animationControl.isRunning) {
-        renderer.render(scene, camera);
-        return;
+    // Mientras se cargan los assets la simulación no avanza; en pausa solo
+    // avanza con los pasos pedidos cuadro a cuadro. Durante la repetición se
+    // mueve solo la grabación (la cámara sigue libre)
+    if (replayPlayer.active) {
+        replayPlayer.update(delta);
+    } else if (simulationReady) {
+        simClock.tick(delta);
     }
-    
-    // Actualizamos el mundo físico
-    physicsWorld.step(1 / 60, delta);
-
-    // Actualizar posición de modelos cargados
-    modelLoader.updateModels();
-
-    // --- Aplicar fuerzas del tornado a TODOS los modelos cargados ---
-    modelLoader.applyTornadoForces(tornado);
-
-    // --- Aplicar fuerzas del tornado a EDIFICIOS y detectar daños ---
-    buildingSlots.applyTornadoForces();
-    buildingSlots.update();
-
-    // Actualizar tornado
-    tornado.update(delta);
 
     renderer.render(scene, camera);
 }
@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+/**
+ * Aerodinámica - Arrastre y sustentación según el viento relativo y el área expuesta
+ *
+ * - Arrastre: F = ½·ρ·Cd·A·|v|²  con v = viento - velocidad del cuerpo en ese punto
+ *   y A = área proyectada de la caja del cuerpo en la dirección de v
+ * - Sustentación: L = ½·ρ·Cl·A_planta·|v_horizontal|²·exposición
+ * - El arrastre se reparte en varios puntos a lo largo del eje largo del cuerpo,
+ *   así el par sale del centro de presiones real (un poste alto recibe más viento
+ *   arriba que abajo y vuelca; un coche plano se levanta)
+ * - Como la fuerza depende de la velocidad relativa, los escombros alcanzan
+ *   una velocidad terminal en lugar de acelerar sin límite
+ * - El arrastre de cada punto se limita a lo que anularía la velocidad relativa
+ *   en un paso: con pedazos livianos y poca inercia, un arrastre mayor hace
+ *   oscilar la integración hasta que la velocidad diverge
+ *
+ * Uso:
+ * const profile = createAeroProfile(new THREE.Vector3(1, 0.7, 2), { dragCoefficient: 0.8 });
+ * applyAerodynamicForces(body, profile, tornado);
+ */
+
+export const AIR_DENSITY = 1.225; // kg/m³
+
+// Las masas de la escena son mucho menores que las reales (un coche pesa 5),
+// así que la densidad del aire se escala para que un EF2 mueva coches y un EF4 los levante
+export const AERO_DENSITY_SCALE = 0.02;
+
+const SAMPLE_COUNT = 3;
+
+/**
+ * Perfil aerodinámico de un cuerpo a partir de su caja (en espacio local)
+ * @param {THREE.Vector3} halfExtents - Semiejes de la caja
+ * @param {object} options
+ *   - dragCoefficient: número (default: 1.05, caja)
+ *   - liftCoefficient: número (default: 0.4)
+ *   - center: THREE.Vector3 - Centro de la caja respecto al cuerpo (default: origen)
+ */
+export function createAeroProfile(halfExtents, options = {}) {
+    const {
+        dragCoefficient = 1.05,
+        liftCoefficient = 0.4,
+        center = new THREE.Vector3()
+    } = options;
+
+    // Puntos de muestreo a lo largo del eje más largo de la caja
+    const axis = ['x', 'y', 'z'].reduce((a, b) => (halfExtents[b] > halfExtents[a] ? b : a));
+    const samplePoints = [];
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+        const point = new CANNON.Vec3(center.x, center.y, center.z);
+        point[axis] += halfExtents[axis] * ((2 * i + 1) / SAMPLE_COUNT - 1);
+        samplePoints.push(point);
+    }
+
+    return {
+        halfExtents: halfExtents.clone(),
+        dragCoefficient,
+        liftCoefficient,
+        center: new CANNON.Vec3(center.x, center.y, center.z),
+        samplePoints
+    };
+}
+
+/**
+ * Área proyectada de una caja (semiejes h) vista desde la dirección unitaria local d
+ */
+export function projectedBoxArea(h, d) {
+    return 4 * (
+        Math.abs(d.x) * h.y * h.z +
+        Math.abs(d.y) * h.x * h.z +
+        Math.abs(d.z) * h.x * h.y
+    );
+}
+
+// Temporales reutilizados en cada llamada
+const _worldPoint = new CANNON.Vec3();
+const _relativePoint = new CANNON.Vec3();
+const _pointVelocity = new CANNON.Vec3();
+const _localDirection = new CANNON.Vec3();
+const _localUp = new CANNON.Vec3();
+const _worldUp = new CANNON.Vec3(0, 1, 0);
+const _force = new CANNON.Vec3();
+const _arm = new CANNON.Vec3();
+const _wind = new THREE.Vector3();
+
+/**
+ * Aplicar arrastre y sustentación del viento a un cuerpo
+ * @param {CANNON.Body} body
+ * @param {object} profile - Resultado de createAeroProfile
+ * @param {object} windSource - Tornado o TornadoManager (cualquier objeto con sampleWind)
+ * @param {object} options
+ *   - densityScale: número (default: AERO_DENSITY_SCALE)
+ *   - dt: número (default: 1/60) - Duración del paso de física, para limitar el arrastre
+ * @returns {number} Velocidad del viento relativo en el centro (m/s)
+ */
+export function applyAerodynamicForces(body, profile, windSource, options = {}) {
+    const { densityScale = AERO_DENSITY_SCALE, dt = 1 / 60 } = options;
+    const h = profile.halfExtents;
+    const pressureFactor = 0.5 * AIR_DENSITY * densityScale;
+    const share = 1 / profile.samplePoints.length;
+
+    let centerSpeed = 0;
+
+    // 1. Arrastre, repartido por los puntos de muestreo (genera el par)
+    profile.samplePoints.forEach((localPoint, index) => {
+        body.pointToWorldFrame(localPoint, _worldPoint);
+        windSource.sampleWind(_worldPoint, undefined, _wind);
+        body.getVelocityAtWorldPoint(_worldPoint, _pointVelocity);
+
+        const rx = _wind.x - _pointVelocity.x;
+        const ry = _wind.y - _pointVelocity.y;
+        const rz = _wind.z - _pointVelocity.z;
+        const speed = Math.sqrt(rx * rx + ry * ry + rz * rz);
+        if (index === Math.floor(profile.samplePoints.length / 2)) centerSpeed = speed;
+        if (speed < 1e-3) return;
+
+        _force.set(rx / speed, ry / speed, rz / speed);
+        body.vectorToLocalFrame(_force, _localDirection);
+        const area = projectedBoxArea(h, _localDirection) * share;
+        const drag = pressureFactor * profile.dragCoefficient * area * speed * speed;
+
+        // Masa efectiva del punto en esa dirección (traslación + giro alrededor del centro)
+        localPoint.cross(_localDirection, _arm);
+        const invInertia = body.invInertia;
+        const invEffectiveMass = body.invMass +
+            _arm.x * _arm.x * invInertia.x +
+            _arm.y * _arm.y * invInertia.y +
+            _arm.z * _arm.z * invInertia.z;
+        const maxDrag = invEffectiveMass > 0 ? (speed * share) / (dt * invEffectiveMass) : Infinity;
+
+        _force.scale(Math.min(drag, maxDrag), _force);
+        _worldPoint.vsub(body.position, _relativePoint);
+        body.applyForce(_force, _relativePoint);
+    });
+
+    // 2. Sustentación: el flujo horizontal sobre la cara superior la "succiona" hacia arriba
+    body.pointToWorldFrame(profile.center, _worldPoint);
+    windSource.sampleWind(_worldPoint, undefined, _wind);
+    body.getVelocityAtWorldPoint(_worldPoint, _pointVelocity);
+
+    const hx = _wind.x - _pointVelocity.x;
+    const hz = _wind.z - _pointVelocity.z;
+    const horizontalSpeedSq = hx * hx + hz * hz;
+
+    if (horizontalSpeedSq > 1e-6 && profile.liftCoefficient > 0) {
+        body.vectorToLocalFrame(_worldUp, _localUp);
+        const planArea = projectedBoxArea(h, _localUp);
+        _localDirection.set(hx, 0, hz);
+        _localDirection.normalize();
+        body.vectorToLocalFrame(_localDirection, _localDirection);
+        const frontalArea = projectedBoxArea(h, _localDirection);
+
+        // Exposición: cuerpos planos (mucha planta frente a poco frente) sustentan más
+        const exposure = planArea / (planArea + frontalArea);
+        const lift = pressureFactor * profile.liftCoefficient * planArea * horizontalSpeedSq * exposure;
+
+        _force.set(0, lift, 0);
+        _worldPoint.vsub(body.position, _relativePoint);
+        body.applyForce(_force, _relativePoint);
+    }
+
+    return centerSpeed;
+}
@@ -0,0 +1,277 @@
+import { Simulation } from './simulation.js';
+import { createTemplateCache } from './model_loader.js';
+import { createRandom } from './random.js';
+import { DAMAGE_STAGES } from './building_slots.js';
+import { assertValidManifest, expandSlots } from './scene_manifest.js';
+import { debrisDistance } from './damage_report.js';
+import { toCSV } from './csv.js';
+
+/**
+ * Experimentos por lotes (Monte Carlo) sobre un pueblo, sin navegador
+ *
+ * Cada corrida arma el pueblo desde cero (los GLB se leen y se parsean una
+ * sola vez para todo el experimento), sortea un tornado (recorrido recto,
+ * intensidad, ancho y velocidad dentro de los rangos) y simula `duration`
+ * segundos. Se registra qué edificios se dañaron, cuándo y hasta dónde
+ * llegaron sus escombros; al final se calcula la probabilidad de daño por slot.
+ *
+ * Con la misma semilla, el mismo manifiesto y los mismos rangos el resultado es
+ * idéntico; cada corrida guarda su propia semilla para repetirla sola.
+ *
+ * Uso:
+ * const result = await runExperiment(manifest, { runs: 50, intensity: [2, 5] }, { assetSource });
+ * fs.writeFileSync('slots.csv', slotsToCSV(result.slots));
+ */
+
+export const DEFAULT_EXPERIMENT = {
+    runs: 20,
+    seed: 1,
+    duration: 60,         // Segundos simulados por corrida
+    intensity: [1, 5],    // Intensidad EF
+    width: [30, 70],      // Diámetro del embudo en metros
+    speed: [4, 10],       // m/s
+    heading: [0, 360],    // Rumbo en grados (0 = +X, 90 = +Z)
+    offset: 40,           // Distancia máxima (m) entre el recorrido y el centro del pueblo
+    startDistance: 100,   // Distancia (m) del punto de partida al centro, antes de aplicar offset
+    sampleInterval: 0.25, // Cada cuántos segundos se mide la distancia de los escombros
+    buildings: null       // [{ slot, type }] - Sustituye a los edificios del manifiesto
+};
+
+const STAGE_RANK = Object.fromEntries(DAMAGE_STAGES.map((stage, index) => [stage, index]));
+
+/**
+ * Correr todas las corridas de un experimento
+ * @param {object} manifest - Manifiesto de escena (sus tornados iniciales se ignoran)
+ * @param {object} experiment - Rangos y cantidades (ver DEFAULT_EXPERIMENT)
+ * @param {object} options
+ *   - assetSource: origen de los GLB (p. ej. DiskAssetSource)
+ *   - templateCache: caché de modelos de createTemplateCache() (default: una para todo el experimento)
+ *   - onRun: function(run, index) - Después de cada corrida (progreso)
+ * @returns {Promise<object>} { experiment, runs, slots }
+ */
+export async function runExperiment(manifest, experiment = {}, options = {}) {
+    const config = { ...DEFAULT_EXPERIMENT, ...experiment };
+    const layout = config.buildings ? { ...manifest, buildings: config.buildings } : manifest;
+    assertValidManifest(layout);
+    if ((layout.buildings ?? []).length === 0) {
+        throw new Error('El pueblo no tiene edificios: indicar "buildings" en el manifiesto o en el experimento');
+    }
+
+    const random = createRandom(config.seed);
+    const center = manifestCenter(layout);
+    const runs = [];
+    const runOptions = { ...options, templateCache: options.templateCache || createTemplateCache() };
+
+    for (let index = 0; index < config.runs; index++) {
+        const track = sampleTrack(random, config, center);
+        const run = await runOnce(layout, track, config, runOptions);
+        run.index = index;
+        runs.push(run);
+
+        if (options.onRun) options.onRun(run, index);
+    }
+
+    return { experiment: config, runs, slots: summarizeSlots(runs) };
+}
+
+/**
+ * Sortear un tornado dentro de los rangos del experimento
+ * @param {function} random - Generador de createRandom()
+ * @param {object} config - Experimento completo
+ * @param {array} center - [x, z] del pueblo
+ */
+export function sampleTrack(random, config, center) {
+    const range = ([min, max]) => min + random() * (max - min);
+
+    const seed = Math.floor(random() * 4294967296);
+    const heading = range(config.heading);
+    const offset = (random() * 2 - 1) * config.offset;
+    const intensity = range(config.intensity);
+    const width = range(config.width);
+    const speed = range(config.speed);
+
+    // Recorrido recto que cruza el pueblo a `offset` metros del centro
+    const angle = heading * Math.PI / 180;
+    const direction = [Math.cos(angle), Math.sin(angle)];
+    const normal = [-direction[1], direction[0]];
+    const start = [
+        center[0] - direction[0] * config.startDistance + normal[0] * offset,
+        0,
+        center[1] - direction[1] * config.startDistance + normal[1] * offset
+    ];
+
+    return {
+        seed,
+        heading,
+        offset,
+        intensity,
+        width,
+        speed,
+        start,
+        velocity: [direction[0] * speed, 0, direction[1] * speed]
+    };
+}
+
+/**
+ * Una corrida: cargar el pueblo, lanzar el tornado sorteado y medir el daño
+ * @param {object} options - { assetSource, templateCache } (ver runExperiment)
+ */
+export async function runOnce(manifest, track, config, options = {}) {
+    const simulation = new Simulation({
+        assetSource: options.assetSource,
+        templateCache: options.templateCache,
+        particles: false
+    });
+    await simulation.load({
+        ...manifest,
+        seed: track.seed,
+        tornado: { ...manifest.tornado, initial: [] }
+    });
+
+    const { buildingSlots, tornadoManager, clock } = simulation;
+    tornadoManager.spawn({
+        position: track.start,
+        velocity: track.velocity,
+        intensity: track.intensity,
+        maxRadius: track.width / 2,
+        // Que no se disipe antes de terminar la corrida
+        phaseDurations: { mature: config.duration }
+    });
+
+    // Un registro por edificio: etapas alcanzadas y distancia de sus escombros
+    const records = new Map();
+    Object.entries(buildingSlots.buildingVisuals).forEach(([buildingId, building]) => {
+        records.set(buildingId, {
+            slotId: building.slotId,
+            type: building.type,
+            stage: building.stage,
+            firstDamageTime: null,
+            collapseTime: null,
+            debrisDistance: 0
+        });
+    });
+
+    const sampleEvery = Math.max(1, Math.round(config.sampleInterval / clock.fixedStep));
+    const stopListening = clock.on('step', ({ time, stepCount }) => {
+        records.forEach((record, buildingId) => {
+            const building = buildingSlots.buildingVisuals[buildingId];
+            if (!building) return;
+
+            if (building.stage !== record.stage) {
+                record.stage = building.stage;
+                if (record.firstDamageTime === null) record.firstDamageTime = time;
+                if (building.stage === 'collapsed') record.collapseTime = time;
+            }
+
+            if (building.damaged && stepCount % sampleEvery === 0) {
+                record.debrisDistance = Math.max(record.debrisDistance, debrisDistance(building));
+            }
+        });
+    });
+
+    simulation.run(config.duration);
+    stopListening();
+
+    const buildings = Array.from(records.entries()).map(([buildingId, record]) => {
+        const building = buildingSlots.buildingVisuals[buildingId];
+        return {
+            ...record,
+            hitPoints: building.hitPoints,
+            maxHitPoints: building.maxHitPoints,
+            peakWindSpeed: building.peakWindSpeed,
+            debrisDistance: building.damaged
+                ? Math.max(record.debrisDistance, debrisDistance(building))
+                : 0
+        };
+    });
+
+    return { seed: track.seed, track, buildings };
+}
+
+/**
+ * Estadísticas por slot de todas las corridas
+ * @returns {array} [{ slotId, type, runs, damageProbability, collapseProbability, ... }]
+ */
+export function summarizeSlots(runs) {
+    const bySlot = new Map();
+    runs.forEach((run) => {
+        run.buildings.forEach((building) => {
+            if (!bySlot.has(building.slotId)) bySlot.set(building.slotId, []);
+            bySlot.get(building.slotId).push(building);
+        });
+    });
+
+    return Array.from(bySlot.entries()).map(([slotId, results]) => {
+        const damaged = results.filter((result) => result.stage !== 'intact');
+        const collapsed = results.filter((result) => result.stage === 'collapsed');
+        const stageCounts = Object.fromEntries(DAMAGE_STAGES.map((stage) => [
+            stage,
+            results.filter((result) => result.stage === stage).length
+        ]));
+
+        return {
+            slotId,
+            type: results[0].type,
+            runs: results.length,
+            damageProbability: damaged.length / results.length,
+            collapseProbability: collapsed.length / results.length,
+            meanStage: mean(results.map((result) => STAGE_RANK[result.stage])),
+            meanFirstDamageTime: mean(damaged.map((result) => result.firstDamageTime)),
+            meanPeakWindSpeed: mean(results.map((result) => result.peakWindSpeed)),
+            meanDebrisDistance: mean(collapsed.map((result) => result.debrisDistance)),
+            maxDebrisDistance: collapsed.length > 0
+                ? Math.max(...collapsed.map((result) => result.debrisDistance))
+                : null,
+            ...stageCounts
+        };
+    });
+}
+
+/**
+ * Una fila por edificio y corrida
+ */
+export function runsToCSV(runs) {
+    const header = [
+        'run', 'seed', 'intensity', 'width', 'speed', 'heading', 'offset',
+        'slotId', 'type', 'stage', 'firstDamageTime', 'collapseTime',
+        'hitPoints', 'peakWindSpeed', 'debrisDistance'
+    ];
+    const rows = runs.flatMap((run) => run.buildings.map((building) => [
+        run.index, run.seed, run.track.intensity, run.track.width, run.track.speed, run.track.heading, run.track.offset,
+        building.slotId, building.type, building.stage, building.firstDamageTime, building.collapseTime,
+        building.hitPoints, building.peakWindSpeed, building.debrisDistance
+    ]));
+
+    return toCSV(header, rows);
+}
+
+/**
+ * Una fila por slot con las estadísticas de summarizeSlots()
+ */
+export function slotsToCSV(slots) {
+    if (slots.length === 0) return '';
+
+    const header = Object.keys(slots[0]);
+    return toCSV(header, slots.map((slot) => header.map((key) => slot[key])));
+}
+
+/**
+ * Centro [x, z] de los edificios del manifiesto (o de todos los slots si no hay)
+ */
+function manifestCenter(manifest) {
+    const positions = [];
+    const slotPositions = new Map();
+    (manifest.slots ?? []).flatMap(expandSlots).forEach(({ id, position }) => slotPositions.set(id, position));
+
+    (manifest.buildings ?? []).forEach(({ slot }) => {
+        if (slotPositions.has(slot)) positions.push(slotPositions.get(slot));
+    });
+    const points = positions.length > 0 ? positions : Array.from(slotPositions.values());
+    if (points.length === 0) return [0, 0];
+
+    return [mean(points.map((p) => p[0])), mean(points.map((p) => p[2]))];
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
@@ -0,0 +1,35 @@
+/**
+ * Estado de un cuerpo físico como JSON (posición, rotación y velocidades)
+ *
+ * Uso:
+ * const state = getBodyState(body);
+ * setBodyState(otroBody, state);
+ */
+export function getBodyState(body) {
+    return {
+        position: body.position.toArray(),
+        quaternion: body.quaternion.toArray(),
+        velocity: body.velocity.toArray(),
+        angularVelocity: body.angularVelocity.toArray()
+    };
+}
+
+/**
+ * Aplicar un estado guardado con getBodyState (despierta el cuerpo si se mueve)
+ */
+export function setBodyState(body, state) {
+    body.position.set(...state.position);
+    body.quaternion.set(...state.quaternion);
+    body.velocity.set(...state.velocity);
+    body.angularVelocity.set(...state.angularVelocity);
+
+    // Sin interpolar desde la posición anterior
+    body.previousPosition.copy(body.position);
+    body.interpolatedPosition.copy(body.position);
+    body.previousQuaternion.copy(body.quaternion);
+    body.interpolatedQuaternion.copy(body.quaternion);
+
+    if (body.velocity.lengthSquared() > 0 || body.angularVelocity.lengthSquared() > 0) {
+        body.wakeUp();
+    }
+}
@@ -1,11 +1,35 @@
 import * as THREE from "three";
 import * as CANNON from "cannon-es";
+import { resolveConstructionProperties } from "./construction_classes.js";
+import { DebrisManager } from "./debris_manager.js";
+import { getBodyState, setBodyState } from "./body_state.js";
+import { SimulationEventBus } from "./simulation_events.js";
+import { watchImpacts } from "./impacts.js";
+
+// Etapas de daño, en orden. Cada edificio pasa por todas hasta colapsar.
+export const DAMAGE_STAGES = ["intact", "roofLoss", "cracked", "collapsed"];
+
+// Fracción de puntos de vida por debajo de la cual se entra en cada etapa
+const STAGE_THRESHOLDS = {
+  roofLoss: 0.75,
+  cracked: 0.4,
+  collapsed: 0,
+};
+
+// Fracción de los puntos de vida que quita un choque justo en impactResistance
+// (crece en proporción al impulso)
+const IMPACT_DAMAGE = 0.1;
 
 export class BuildingSlots {
-  constructor(scene, camera, renderer, modelLoader, physicsWorld) {
+  /**
+   * Sin DOM ni cámara: el ratón y el menú están en BuildingSlotsUI
+   * @param {object} options
+   *   - debrisManager: DebrisManager - Gestor de escombros compartido (default: uno propio)
+   *   - events: SimulationEventBus - Publica buildingPlaced, buildingDamaged, buildingRepaired,
+   *     buildingDemolished y debrisSpawned (default: uno propio)
+   */
+  constructor(scene, modelLoader, physicsWorld, options = {}) {
     this.scene = scene;
-    this.camera = camera;
-    this.renderer = renderer;
     this.modelLoader = modelLoader;
     this.physicsWorld = physicsWorld;
 
@@ -14,87 +38,102 @@ export class BuildingSlots {
     this.slotVisuals = {}; 
     this.buildingVisuals = {}; 
 
-    this.raycaster = new THREE.Raycaster();
-    this.mouse = new THREE.Vector2();
-    this.contextMenu = null;
-    this.selectedSlot = null;
     this.tornado = null; 
-    this.damageThreshold = 30; // Distancia mínima antes de dañar (en unidades)
+    this.time = 0;
+    this.nextBuildingNumber = 1;
 
-    this.setupEventListeners();
+    // Escombros de todos los edificios: límite global, reposo y desaparición
+    this.debris = options.debrisManager || new DebrisManager(scene, physicsWorld);
+    this.events = options.events || new SimulationEventBus();
+
+    // Choques del último paso de física (se aplican en update, fuera de world.step)
+    this.impacts = [];
   }
 
   /**
    * Registrar un tipo de edificio disponible
    * @param {string} buildingType - Nombre del tipo de edificio
-   * @param {object} paths - { intact: rutaIntacto, cracked: rutaRoto }
-   * @param {object} options - { debrisMass: 0.5 } - Masa de los pedazos cuando se daña
+   * @param {object} paths - { intact, cracked, roofLoss? } - roofLoss es opcional;
+   *   sin él, la pérdida de techo oculta las piezas superiores del modelo intacto
+   * @param {object} options
+   *   - constructionClass: 'woodFrame' | 'masonry' | 'reinforcedConcrete' | 'mobileHome'
+   *     (default: 'woodFrame') - Valores por defecto de las propiedades siguientes
+   *   - windResistance: número - Viento (m/s) a partir del cual se daña
+   *   - hitPoints: número - Puntos de vida estructurales
+   *   - debrisMass: número - Masa de los pedazos cuando colapsa
+   *   - maxDebris: número - Máximo de pedazos con física
+   *   - debrisFriction, debrisRestitution: número - Material de los pedazos
+   *   - debrisDrag, debrisLift: número - Coeficientes aerodinámicos de los pedazos
+   *   - damageRate: número (default: 25) - Puntos por segundo perdidos al doble de la resistencia
+   *   - replacementCost: número - Costo de reponer el edificio (informe de daños)
+   *   - impactResistance: número - Impulso (N·s) de un escombro u objeto a partir del cual el golpe lo daña
+   *   - debrisCollider: string (default: 'box') - Forma física de cada pedazo (ver colliders.js);
+   *     'convexHull' da pedazos irregulares pero las colisiones son mucho más costosas
    */
   addBuilding(buildingType, paths, options = {}) {
+    const properties = resolveConstructionProperties(options);
+
     this.buildings[buildingType] = {
       intact: paths.intact,
       cracked: paths.cracked,
-      debrisMass: options.debrisMass || 0.5, // Masa por defecto: 0.5
+      roofLoss: paths.roofLoss || null,
+      ...properties,
+      damageRate: options.damageRate || 25,
+      debrisCollider: options.debrisCollider || "box",
+      // Material compartido por todos los pedazos de este tipo
+      debrisMaterial: new CANNON.Material({
+        friction: properties.debrisFriction,
+        restitution: properties.debrisRestitution,
+      }),
     };
   }
 
 
+  /**
+   * Rutas de todos los modelos de los edificios registrados (para precargarlos)
+   */
+  getAssetPaths() {
+    return Object.values(this.buildings).flatMap((config) =>
+      [config.intact, config.roofLoss, config.cracked].filter(Boolean)
+    );
+  }
+
+  /**
+   * Conectar un Tornado o un TornadoManager (varios tornados)
+   */
   setTornado(tornado) {
     this.tornado = tornado;
   }
 
-  applyTornadoForces() {
+  /**
+   * Lista de tornados activos que pueden dañar edificios
+   */
+  getTornadoes() {
+    if (!this.tornado) return [];
+    if (this.tornado.getActive) return this.tornado.getActive();
+    return [this.tornado];
+  }
+
+  /**
+   * Desgastar los edificios con el viento y mover los escombros
+   * @param {number} delta - Segundos desde el último paso
+   */
+  applyTornadoForces(delta = 1 / 60) {
     if (!this.tornado) return;
 
+    this.time += delta;
+
     // USAR ENTRIES PARA OBTENER EL ID CORRECTO (La clave del objeto)
     Object.entries(this.buildingVisuals).forEach(([realBuildingId, building]) => {
       
-      // 1. Lógica para dañar el edificio
-      if (!building.damaged) {
-        const buildingPos = building.visual.position;
-        const tornadoPos = this.tornado.position || new THREE.Vector3();
-        const distance = buildingPos.distanceTo(tornadoPos);
-
-        if (distance < this.damageThreshold) {
-          this.damageBuilding(realBuildingId); 
-        }
-      }
-
-      // Mover escombros
-      if (building.damaged && building.crackedBodies && building.crackedBodies.length > 0) {
-        building.crackedBodies.forEach((debris) => {
-          if(!debris.body) return;
-          
-          const body = debris.body;
-
-          const debrisPos = new THREE.Vector3(
-            body.position.x,
-            body.position.y,
-            body.position.z
-          );
-
-          // cual es la masa del objeto
-          const tornadoResult = this.tornado.calculateForceOnObject(
-            debrisPos,
-            body.mass 
-          );
-
-          const lift = new CANNON.Vec3(0, tornadoResult.force.y, 0);
-          const horizontal = new CANNON.Vec3(
-            tornadoResult.force.x,
-            0,
-            tornadoResult.force.z
-          );
-
-          body.applyForce(lift, body.position);
-          body.applyForce(horizontal, body.position);
-
-          // gira así a lo loco
-          body.torque.x += (Math.random() - 0.5) * 10;
-          body.torque.y += (Math.random() - 0.5) * 10;
-        });
+      // 1. Desgaste estructural: depende del viento y del tiempo de exposición
+      if (building.stage !== "collapsed") {
+        this.applyWindLoad(realBuildingId, building, delta);
       }
     });
+
+    // 2. Mover escombros: arrastre y sustentación del viento combinado (solo los despiertos)
+    this.debris.applyWind(this.tornado, delta);
   }
 
   /**
@@ -138,211 +177,39 @@ export class BuildingSlots {
 
   }
 
-  setupEventListeners() {
-    document.addEventListener(
-      "click",
-      (event) => {
-        this.onLeftClick(event);
-      },
-      { passive: true }
-    );
-
-    document.addEventListener(
-      "mousemove",
-      (event) => {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-      },
-      { passive: true }
-    );
-  }
-
-  onLeftClick(event) {
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-
-    const slotVisuals = Object.values(this.slotVisuals).map((s) => s.visual);
-
-    const intersects = this.raycaster.intersectObjects(slotVisuals, true);
-
-    if (intersects.length > 0) {
-      const clickedVisual = intersects[0].object;
-      const slotId = Object.keys(this.slotVisuals).find(
-        (id) => this.slotVisuals[id].visual === clickedVisual
-      );
-
-      if (slotId) {
-        this.selectedSlot = slotId;
-        this.showBuildingMenu(event.clientX, event.clientY, slotId);
-      }
-    } else {
-      this.closeMenu();
-    }
-  }
-
-  showBuildingMenu(x, y, slotId) {
-    this.closeMenu();
-
-    this.contextMenu = document.createElement("div");
-    this.contextMenu.id = "building-menu";
-    this.contextMenu.style.cssText = `
-            position: fixed;
-            top: ${y}px;
-            left: ${x}px;
-            background: rgba(20, 40, 60, 0.95);
-            border: 2px solid #00ff00;
-            border-radius: 8px;
-            padding: 8px 0;
-            z-index: 10000;
-            box-shadow: 0 8px 16px rgba(0, 0, 0, 0.5);
-            font-family: Arial, sans-serif;
-            min-width: 180px;
-        `;
-
-    // título del menú
-    const title = document.createElement("div");
-    title.style.cssText = `
-            padding: 10px 20px;
-            color: #00ff00;
-            font-weight: bold;
-            border-bottom: 2px solid rgba(0, 255, 0, 0.3);
-        `;
-    title.textContent = `Edificios - ${slotId}`;
-    this.contextMenu.appendChild(title);
-
-    // Opciones de edificios
-    Object.keys(this.buildings).forEach((buildingType) => {
-      const item = document.createElement("div");
-      item.style.cssText = `
-                padding: 10px 20px;
-                cursor: pointer;
-                color: #00ff00;
-                transition: all 0.2s;
-                user-select: none;
-                border-bottom: 1px solid rgba(0, 255, 0, 0.2);
-            `;
-      item.textContent = `Colocar ${buildingType}`;
-
-      item.addEventListener(
-        "mouseenter",
-        () => {
-          item.style.background = "rgba(0, 255, 0, 0.2)";
-          item.style.paddingLeft = "30px";
-        },
-        { passive: true }
-      );
-
-      item.addEventListener(
-        "mouseleave",
-        () => {
-          item.style.background = "transparent";
-          item.style.paddingLeft = "20px";
-        },
-        { passive: true }
-      );
-
-      item.addEventListener(
-        "mousedown",
-        (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          this.placeBuilding(slotId, buildingType);
-          this.closeMenu();
-        },
-        { passive: false }
-      );
-
-      this.contextMenu.appendChild(item);
-    });
-
-    // Opción para demoler si hay algo colocado
-    if (this.slots[slotId].occupied) {
-      const demolish = document.createElement("div");
-      demolish.style.cssText = `
-                padding: 10px 20px;
-                cursor: pointer;
-                color: #ff6600;
-                transition: all 0.2s;
-                user-select: none;
-                border-top: 1px solid rgba(255, 102, 0, 0.3);
-            `;
-      demolish.textContent = "🗑️ Demoler";
-
-      demolish.addEventListener(
-        "mouseenter",
-        () => {
-          demolish.style.background = "rgba(255, 102, 0, 0.2)";
-          demolish.style.paddingLeft = "30px";
-        },
-        { passive: true }
-      );
-
-      demolish.addEventListener(
-        "mouseleave",
-        () => {
-          demolish.style.background = "transparent";
-          demolish.style.paddingLeft = "20px";
-        },
-        { passive: true }
-      );
-
-      demolish.addEventListener(
-        "mousedown",
-        (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          this.demolishBuilding(slotId);
-          this.closeMenu();
-        },
-        { passive: false }
-      );
-
-      this.contextMenu.appendChild(demolish);
-    }
-
-    document.body.appendChild(this.contextMenu);
-  }
-
   /**
    * Colocar un edificio en el slot
+   * @returns {Promise} Se resuelve al terminar la carga (los fallos quedan en modelLoader.tracker)
    */
   placeBuilding(slotId, buildingType) {
     const slot = this.slots[slotId];
+    if (!slot) {
+      return Promise.reject(new Error(`Slot no encontrado: ${slotId}`));
+    }
 
     // Si ya hay algo, demoler primero
     if (slot.occupied) {
       this.demolishBuilding(slotId);
     }
 
-    const buildingPaths = this.buildings[buildingType];
-    if (!buildingPaths) {
-      return;
+    const buildingConfig = this.buildings[buildingType];
+    if (!buildingConfig) {
+      return Promise.reject(new Error(`Tipo de edificio no encontrado: ${buildingType}`));
     }
 
-    // Crear ID único para este edificio
-    const buildingId = `${slotId}_${buildingType}_${Date.now()}`;
+    // Crear ID único para este edificio (un contador, no la hora: igual en cada ejecución)
+    const buildingId = `${slotId}_${buildingType}_${this.nextBuildingNumber++}`;
 
     // Cargar el modelo intacto
-    this.modelLoader
-      .load(buildingPaths.intact, {
+    return this.modelLoader
+      .load(buildingConfig.intact, {
         mass: 0, // Edificios estáticos inicialmente
         position: slot.position,
         scale: 1,
         friction: 0.5,
         restitution: 0.2,
         onLoad: (modelData) => {
-
-          // Guardar referencia visual
-          this.buildingVisuals[buildingId] = {
-            visual: modelData.visual,
-            body: modelData.body,
-            type: buildingType,
-            slotId: slotId,
-            intact: buildingPaths.intact,
-            cracked: buildingPaths.cracked,
-            damaged: false,
-            crackedBodies: [], // Para almacenar los cuerpos del modelo roto
-            originalPosition: slot.position.slice(), // Guardar posición original
-          };
+          this.buildingVisuals[buildingId] = this.createBuildingRecord(modelData, slotId, buildingType);
 
           // Actualizar slot
           slot.occupied = true;
@@ -351,12 +218,180 @@ export class BuildingSlots {
 
           // Ocultar el slot cuando está ocupado
           this.slotVisuals[slotId].visual.visible = false;
+
+          this.events.emit("buildingPlaced", {
+            buildingId,
+            slotId,
+            type: buildingType,
+            position: slot.position.slice(),
+          });
         },
       })
       .catch((error) => {
+        // Los fallos del asset ya se publican como assetLoadFailed (y quedan en el tracker)
+        console.error(`No se pudo colocar "${buildingType}" en ${slotId}:`, error);
       });
   }
 
+  /**
+   * Estado de un edificio recién colocado (o reparado): intacto y con todos sus puntos de vida
+   */
+  createBuildingRecord(modelData, slotId, buildingType) {
+    const buildingConfig = this.buildings[buildingType];
+    const bbox = new THREE.Box3().setFromObject(modelData.visual);
+
+    const building = {
+      visual: modelData.visual,
+      body: modelData.physics,
+      modelData: modelData,
+      type: buildingType,
+      slotId: slotId,
+      intact: buildingConfig.intact,
+      cracked: buildingConfig.cracked,
+      height: bbox.max.y - bbox.min.y,
+      // Daño progresivo
+      stage: "intact",
+      hitPoints: buildingConfig.hitPoints,
+      maxHitPoints: buildingConfig.hitPoints,
+      exposureTime: 0, // Segundos con viento por encima de la resistencia
+      windSpeed: 0, // Viento del último paso (m/s)
+      peakWindSpeed: 0,
+      lastTornadoId: null,
+      stageQueue: Promise.resolve(), // Los cambios de modelo se aplican en orden
+      pendingStages: 0, // Etapas esperando la descarga de su modelo
+      damaged: false, // true cuando colapsa en escombros
+      crackedBodies: [], // Para almacenar los cuerpos del modelo roto
+      stopImpacts: null, // Quita el listener de golpes del cuerpo actual
+      originalPosition: this.slots[slotId].position.slice(), // Guardar posición original
+    };
+    this.watchBuildingImpacts(building, modelData.physics);
+    return building;
+  }
+
+  /**
+   * Guardar los golpes que superan la resistencia del edificio (escombros, coches...)
+   * (deja de escuchar el cuerpo anterior, si lo había)
+   */
+  watchBuildingImpacts(building, body) {
+    const config = this.buildings[building.type];
+    if (building.stopImpacts) building.stopImpacts();
+    building.stopImpacts = watchImpacts(body, ({ impulse }) => {
+      if (impulse > config.impactResistance) {
+        this.impacts.push({ building, impulse });
+      }
+    });
+  }
+
+  /**
+   * Daño de los golpes del último paso: cada uno quita IMPACT_DAMAGE de los
+   * puntos de vida por cada vez que su impulso cabe en impactResistance
+   */
+  applyImpacts() {
+    const impacts = this.impacts;
+    this.impacts = [];
+
+    impacts.forEach(({ building, impulse }) => {
+      const buildingId = this.slots[building.slotId].buildingId;
+      // Puede haberse reparado, demolido o colapsado en este mismo paso
+      if (this.buildingVisuals[buildingId] !== building || building.stage === "collapsed") return;
+
+      const config = this.buildings[building.type];
+      const damage = building.maxHitPoints * IMPACT_DAMAGE * (impulse / config.impactResistance);
+      building.hitPoints = Math.max(building.hitPoints - damage, 0);
+      this.updateDamageStage(buildingId, building, "impact");
+    });
+  }
+
+  /**
+   * Reparar un edificio dañado: quita sus escombros, vuelve a poner el modelo
+   * intacto en originalPosition y reinicia su daño (conserva el buildingId).
+   * Un edificio que sigue intacto pero ya perdió puntos de vida solo reinicia su daño.
+   * @returns {Promise} Se resuelve cuando el modelo intacto está en su lugar
+   */
+  repairBuilding(slotId) {
+    const slot = this.slots[slotId];
+    if (!slot) {
+      return Promise.reject(new Error(`Slot no encontrado: ${slotId}`));
+    }
+
+    const buildingId = slot.buildingId;
+    const building = this.buildingVisuals[buildingId];
+    if (!building) {
+      return Promise.resolve();
+    }
+    if (building.stage === "intact") {
+      this.resetDamage(building);
+      return Promise.resolve();
+    }
+
+    // Quitar el modelo dañado (sin techo o agrietado) y todos los pedazos
+    if (building.stopImpacts) building.stopImpacts();
+    if (building.modelData) {
+      this.modelLoader.remove(building.modelData);
+    }
+    this.debris.removeOwner(buildingId);
+
+    // Sin su registro, las etapas que esperaban un modelo ya no hacen nada (ver enterStage)
+    delete this.buildingVisuals[buildingId];
+
+    const buildingConfig = this.buildings[building.type];
+    const options = {
+      mass: 0,
+      position: building.originalPosition,
+      scale: 1,
+      friction: 0.5,
+      restitution: 0.2,
+    };
+
+    const finish = (modelData) => {
+      // Se demolió o se colocó otro edificio mientras se cargaba
+      if (slot.buildingId !== buildingId) {
+        this.modelLoader.remove(modelData);
+        return;
+      }
+
+      this.buildingVisuals[buildingId] = this.createBuildingRecord(modelData, slotId, building.type);
+      this.events.emit("buildingRepaired", {
+        buildingId,
+        slotId,
+        type: building.type,
+        previousStage: building.stage,
+      });
+    };
+
+    // Igual que las etapas de daño: con el modelo en caché se repara en este mismo paso
+    const cached = this.modelLoader.loadCached(buildingConfig.intact, options);
+    if (cached) {
+      finish(cached);
+      return Promise.resolve();
+    }
+    return this.modelLoader
+      .load(buildingConfig.intact, options)
+      .then(finish)
+      .catch((error) => {
+        console.error(`No se pudo reparar ${buildingId}:`, error);
+      });
+  }
+
+  /**
+   * Devolver un edificio intacto a su estado recién colocado (el modelo no cambia)
+   */
+  resetDamage(building) {
+    building.hitPoints = building.maxHitPoints;
+    building.exposureTime = 0;
+    building.windSpeed = 0;
+    building.peakWindSpeed = 0;
+    building.lastTornadoId = null;
+  }
+
+  /**
+   * Reparar todos los edificios dañados
+   * @returns {Promise}
+   */
+  repairAll() {
+    return Promise.all(Object.keys(this.slots).map((slotId) => this.repairBuilding(slotId)));
+  }
+
   /**
    * Demoler un edificio
    */
@@ -371,23 +406,21 @@ export class BuildingSlots {
     const building = this.buildingVisuals[buildingId];
 
     if (building) {
-      // Remover visual
-      this.scene.remove(building.visual);
+      if (building.stopImpacts) building.stopImpacts();
 
-      // Remover body físico del modelo intacto
-      if (building.body) {
-        this.physicsWorld.removeBody(building.body);
+      // Remover visual y body físico del modelo actual (intacto o agrietado)
+      if (building.modelData) {
+        this.modelLoader.remove(building.modelData);
+      } else {
+        this.scene.remove(building.visual);
       }
 
-      // Remover bodies del modelo roto si existen
-      if (building.crackedBodies && building.crackedBodies.length > 0) {
-        building.crackedBodies.forEach((body) => {
-          this.physicsWorld.removeBody(body);
-        });
-      }
+      // Remover pedazos del modelo roto (vivos y congelados)
+      this.debris.removeOwner(buildingId);
 
       // Eliminar referencia
       delete this.buildingVisuals[buildingId];
+      this.events.emit("buildingDemolished", { buildingId, slotId });
     }
 
     // Actualizar slot
@@ -400,158 +433,407 @@ export class BuildingSlots {
 
   }
 
+  /**
+   * Viento que recibe un edificio: el mayor entre la mitad y el tejado
+   */
+  sampleBuildingWind(building) {
+    const base = building.visual.position;
+    const samples = [0.5, 1].map((factor) =>
+      this.tornado.sampleWind(new THREE.Vector3(base.x, base.y + building.height * factor, base.z))
+    );
+    return samples.reduce((a, b) => (b.length() > a.length() ? b : a));
+  }
+
+  /**
+   * Restar puntos de vida según la velocidad del viento y avanzar de etapa
+   */
+  applyWindLoad(buildingId, building, delta) {
+    const config = this.buildings[building.type];
+    const windSpeed = this.sampleBuildingWind(building).length();
+
+    building.windSpeed = windSpeed;
+    building.peakWindSpeed = Math.max(building.peakWindSpeed, windSpeed);
+    if (windSpeed <= config.windResistance) return;
 
-  damageBuilding(buildingId) {
+    // La carga del viento crece con v²: al doble de la resistencia se pierde damageRate por segundo
+    const overload = (windSpeed / config.windResistance) ** 2 - 1;
+    building.exposureTime += delta;
+    building.hitPoints = Math.max(building.hitPoints - overload * (config.damageRate / 3) * delta, 0);
+    building.lastTornadoId = this.findDominantTornado(building)?.id ?? null;
+
+    this.updateDamageStage(buildingId, building, "wind");
+  }
+
+  /**
+   * Pasar a la etapa que corresponde a los puntos de vida restantes
+   */
+  updateDamageStage(buildingId, building, cause) {
+    const ratio = building.hitPoints / building.maxHitPoints;
+    const stage = DAMAGE_STAGES.slice()
+      .reverse()
+      .find((name) => name !== "intact" && ratio <= STAGE_THRESHOLDS[name]);
+
+    if (stage) {
+      this.setDamageStage(buildingId, stage, cause);
+    }
+  }
+
+  /**
+   * Tornado cuyo viento es más fuerte en la posición del edificio
+   */
+  findDominantTornado(building) {
+    const position = building.visual.position.clone();
+    position.y += building.height * 0.5;
+
+    let dominant = null;
+    let strongest = 0;
+    this.getTornadoes().forEach((tornado) => {
+      const speed = tornado.sampleWind(position).length();
+      if (speed > strongest) {
+        strongest = speed;
+        dominant = tornado;
+      }
+    });
+    return dominant;
+  }
+
+  /**
+   * Llevar un edificio hasta una etapa de daño (pasando por las intermedias)
+   * @param {string} buildingId
+   * @param {string} stage - 'roofLoss' | 'cracked' | 'collapsed'
+   * @param {string|null} cause - 'wind' | 'impact' | null (daño directo, p. ej. un escenario)
+   */
+  setDamageStage(buildingId, stage, cause = null) {
     const building = this.buildingVisuals[buildingId];
-    if (!building || building.damaged) {
+    if (!building) return;
+
+    const target = DAMAGE_STAGES.indexOf(stage);
+    while (DAMAGE_STAGES.indexOf(building.stage) < target) {
+      const previousStage = building.stage;
+      const next = DAMAGE_STAGES[DAMAGE_STAGES.indexOf(building.stage) + 1];
+      building.stage = next;
+
+      this.events.emit("buildingDamaged", {
+        buildingId,
+        slotId: building.slotId,
+        type: building.type,
+        stage: next,
+        previousStage,
+        windSpeed: building.windSpeed,
+        tornadoId: building.lastTornadoId,
+        hitPoints: building.hitPoints,
+        cause,
+      });
+
+      // Con los modelos en caché la etapa se aplica en este mismo paso de simulación,
+      // así los escombros aparecen siempre en el mismo paso (resultados reproducibles)
+      if (building.pendingStages === 0) {
+        let loading;
+        try {
+          loading = this.enterStage(buildingId, building, next);
+        } catch (error) {
+          console.error(error);
+        }
+        if (!loading) continue;
+        building.stageQueue = loading;
+      } else {
+        building.stageQueue = building.stageQueue.then(() => this.enterStage(buildingId, building, next));
+      }
+
+      // Hay que esperar a que se descargue un modelo: encadenar para respetar el orden
+      building.pendingStages++;
+      building.stageQueue = building.stageQueue
+        .catch((error) => console.error(error))
+        .finally(() => building.pendingStages--);
+    }
+  }
+
+  enterStage(buildingId, building, stage) {
+    // Puede haberse demolido mientras se cargaba la etapa anterior
+    if (this.buildingVisuals[buildingId] !== building) return;
+
+    const config = this.buildings[building.type];
+
+    if (stage === "roofLoss") {
+      if (config.roofLoss) return this.swapBuildingModel(buildingId, building, config.roofLoss);
+      this.applyRoofLoss(building);
       return;
     }
+    if (stage === "cracked") {
+      return this.swapBuildingModel(buildingId, building, building.cracked);
+    }
+    if (stage === "collapsed") {
+      this.breakIntoDebris(building, buildingId);
+    }
+  }
 
-    building.damaged = true;
+  /**
+   * Sustituir el modelo estático del edificio por otro (p. ej. el agrietado)
+   * @returns {Promise|undefined} Promesa solo si el modelo no estaba en caché
+   */
+  swapBuildingModel(buildingId, building, path) {
     const position = building.visual.position.clone();
     const quaternion = building.visual.quaternion.clone();
+    const options = {
+      mass: 0,
+      position: [position.x, position.y, position.z],
+      scale: 1,
+      friction: 0.5,
+      restitution: 0.2,
+    };
 
-    // Configuración de masa (Ligera)
-    const buildingType = building.type;
-    const buildingConfig = this.buildings[buildingType];
-    const debrisMass = buildingConfig?.debrisMass || 10; 
+    const replace = (modelData) => {
+      if (this.buildingVisuals[buildingId] !== building) {
+        this.modelLoader.remove(modelData);
+        return;
+      }
+
+      this.modelLoader.remove(building.modelData);
+      modelData.visual.quaternion.copy(quaternion);
+      building.visual = modelData.visual;
+      building.body = modelData.physics;
+      building.modelData = modelData;
+      this.watchBuildingImpacts(building, modelData.physics);
+    };
 
-    // 1. Limpiar lo viejo
-    this.scene.remove(building.visual);
-    if (building.body) {
-      this.physicsWorld.removeBody(building.body);
+    const cached = this.modelLoader.loadCached(path, options);
+    if (cached) {
+      replace(cached);
+      return;
     }
+    return this.modelLoader.load(path, options).then(replace);
+  }
 
-    // 2. Cargar el modelo roto
-    this.modelLoader
-      .load(building.cracked, {
-        mass: 0,
-        position: [position.x, position.y, position.z],
-        scale: 1,
-        onLoad: (crackedData) => {
-          building.visual = crackedData.visual;
-          // Actualizamos matriz mundo para asegurar cálculos correctos
-          building.visual.position.copy(position);
-          building.visual.quaternion.copy(quaternion);
-          building.visual.updateMatrixWorld(true);
-
-          if (crackedData.body) {
-            this.physicsWorld.removeBody(crackedData.body);
-          }
-
-          building.crackedBodies = [];
-          
-          const debrisParts = [];
-          building.visual.traverse((child) => {
-            if (child.isMesh) {
-              debrisParts.push(child);
-            }
-          });
+  /**
+   * Pérdida de techo sin modelo propio: ocultar las piezas superiores
+   * o, si el modelo es de una sola pieza, oscurecerlo
+   */
+  applyRoofLoss(building) {
+    const bbox = new THREE.Box3().setFromObject(building.visual);
+    const roofLevel = bbox.min.y + building.height * 0.6;
+    const meshes = [];
+    building.visual.traverse((child) => {
+      if (child.isMesh) meshes.push(child);
+    });
 
-          // === PROCESO DE CENTRADO Y CREACIÓN FÍSICA ===
-          debrisParts.forEach((child) => {
-            // 1. Obtener transformaciones mundiales actuales del PIVOTE
-            const worldPos = new THREE.Vector3();
-            const worldQuat = new THREE.Quaternion();
-            const worldScale = new THREE.Vector3();
-            child.matrixWorld.decompose(worldPos, worldQuat, worldScale);
-
-            // 2. Calcular el centro real de la geometría (Bounding Box local)
-            child.geometry.computeBoundingBox();
-            const box = child.geometry.boundingBox;
-            const size = new THREE.Vector3();
-            box.getSize(size);
-            const center = new THREE.Vector3();
-            box.getCenter(center);
-
-            // 3. CORRECCIÓN DE PIVOTE:
-            // Movemos la geometría para que su origen (0,0,0) sea su centro real.
-            // Esto alinea visuales y físicas perfectamente.
-            child.geometry.translate(-center.x, -center.y, -center.z);
-
-            // 4. Calcular dónde debe ir el objeto en el mundo real
-            // (Posición del pivote original + offset del centro rotado)
-            const centerOffset = center.clone().applyQuaternion(worldQuat);
-            const realCenterPos = worldPos.clone().add(centerOffset);
-
-            // 5. Separar del padre y actualizar posición
-            child.removeFromParent(); 
-            this.scene.add(child);
-            
-            // Colocamos el mesh en su centro real
-            child.position.copy(realCenterPos);
-            child.quaternion.copy(worldQuat);
-            child.scale.copy(worldScale);
-
-            // 6. 🔥 FIX DEL SUELO: Levantar un poquito todo (20cm)
-            // Esto evita que nazcan "dentro" del piso
-            child.position.y += 0.2;
-
-            // 7. Reducir caja física (Anti-overlap)
-            const physicsSize = size.clone().multiplyScalar(0.85);
-
-            // Crear cuerpo físico
-            const pieceBody = new CANNON.Body({
-              mass: debrisMass,
-              shape: new CANNON.Box(new CANNON.Vec3(physicsSize.x / 2, physicsSize.y / 2, physicsSize.z / 2)),
-              linearDamping: 0.05, 
-              angularDamping: 0.05,
-            });
-
-            // Sincronizar posición inicial (Mesh y Body ahora comparten el mismo centro)
-            pieceBody.position.copy(child.position);
-            pieceBody.quaternion.copy(child.quaternion);
-
-            // Despertar suave
-            pieceBody.wakeUp();
-
-            this.physicsWorld.addBody(pieceBody);
-
-            building.crackedBodies.push({
-              mesh: child,
-              body: pieceBody,
-            });
-          });
+    const roofMeshes = meshes.filter((mesh) => new THREE.Box3().setFromObject(mesh).min.y >= roofLevel);
 
-        },
-      })
-      .catch((error) => console.error(error));
+    if (roofMeshes.length > 0 && roofMeshes.length < meshes.length) {
+      roofMeshes.forEach((mesh) => (mesh.visible = false));
+      return;
+    }
+
+    meshes.forEach((mesh) => {
+      mesh.material = mesh.material.clone();
+      if (mesh.material.color) mesh.material.color.multiplyScalar(0.7);
+    });
   }
 
-  update() {
-    Object.values(this.buildingVisuals).forEach((building) => {
-      if (building.damaged && building.crackedBodies) {
-        building.crackedBodies.forEach((part) => {
-          if (part.mesh && part.body) {
-            // Copiar posición y rotación del cuerpo físico al visual de ESTE pedazo
-            part.mesh.position.copy(part.body.position);
-            part.mesh.quaternion.copy(part.body.quaternion);
-          }
-        });
-        
-      } else if (!building.damaged && building.body) {
-        // Si el edificio está intacto, actualizar su posición
-        building.visual.position.copy(building.body.position);
-        building.visual.quaternion.copy(building.body.quaternion);
+  /**
+   * Daño inmediato: colapsar el edificio (compatibilidad)
+   */
+  damageBuilding(buildingId) {
+    const building = this.buildingVisuals[buildingId];
+    if (!building || building.stage === "collapsed") {
+      return;
+    }
+
+    building.hitPoints = 0;
+    this.setDamageStage(buildingId, "collapsed");
+  }
+
+  /**
+   * Separar el modelo agrietado en pedazos con física
+   */
+  breakIntoDebris(building, buildingId) {
+    building.damaged = true;
+
+    // Propiedades de los pedazos según la clase de construcción
+    const buildingConfig = this.buildings[building.type];
+    const debrisMass = buildingConfig.debrisMass;
+
+    building.visual.updateMatrixWorld(true);
+    // Array mantenido por el DebrisManager (los pedazos que desaparecen se quitan solos)
+    building.crackedBodies = this.debris.getPieces(buildingId);
+
+    let debrisParts = [];
+    building.visual.traverse((child) => {
+      if (child.isMesh) {
+        debrisParts.push(child);
       }
     });
+    // Posición de cada pieza dentro del modelo, para reconstruirla en la repetición
+    const meshIndex = new Map(debrisParts.map((mesh, index) => [mesh, index]));
+
+    // Límite de pedazos: conservar los más grandes, descartar los fragmentos pequeños
+    if (debrisParts.length > buildingConfig.maxDebris) {
+      const volume = (mesh) => {
+        const size = new THREE.Box3().setFromObject(mesh).getSize(new THREE.Vector3());
+        return size.x * size.y * size.z;
+      };
+      debrisParts = debrisParts
+        .map((mesh) => ({ mesh, volume: volume(mesh) }))
+        .sort((a, b) => b.volume - a.volume)
+        .map((entry) => entry.mesh);
+      debrisParts.splice(buildingConfig.maxDebris);
+    }
+
+    // Cada pieza se centra en su caja y recibe su propio cuerpo (ver DebrisManager.addFromMesh)
+    debrisParts.forEach((child, index) => {
+      const piece = this.debris.addFromMesh(
+        child,
+        {
+          mass: debrisMass,
+          material: buildingConfig.debrisMaterial,
+          collider: buildingConfig.debrisCollider,
+          dragCoefficient: buildingConfig.debrisDrag,
+          liftCoefficient: buildingConfig.debrisLift,
+          // 🔥 FIX DEL SUELO: Levantar un poquito todo (20cm)
+          // Esto evita que nazcan "dentro" del piso
+          raise: 0.2,
+        },
+        buildingId
+      );
+      // El índice identifica al pedazo al guardar y restaurar la simulación
+      piece.index = index;
+      piece.source = { path: building.modelData.path, meshIndex: meshIndex.get(child) };
+    });
+
+    // El modelo agrietado ya no tiene piezas: quitar su grupo y su collider estático
+    building.stopImpacts();
+    building.stopImpacts = null;
+    this.modelLoader.remove(building.modelData);
+    building.modelData = null;
+    building.body = null;
+
+    this.events.emit("debrisSpawned", {
+      buildingId,
+      slotId: building.slotId,
+      type: building.type,
+      count: debrisParts.length,
+    });
   }
 
   /**
-   * Cerrar menú
+   * Edificios colocados, su daño y (opcional) el estado de sus escombros
+   * @param {object} options
+   *   - includeDebris: boolean (default: true) - Guardar posición y velocidad de cada pedazo
    */
-  closeMenu() {
-    if (this.contextMenu) {
-      this.contextMenu.remove();
-      this.contextMenu = null;
+  serialize(options = {}) {
+    const { includeDebris = true } = options;
+
+    return Object.values(this.buildingVisuals).map((building) => ({
+      slotId: building.slotId,
+      type: building.type,
+      stage: building.stage,
+      hitPoints: building.hitPoints,
+      exposureTime: building.exposureTime,
+      peakWindSpeed: building.peakWindSpeed,
+      lastTornadoId: building.lastTornadoId,
+      debris: includeDebris && building.damaged
+        ? building.crackedBodies.map((piece) => ({
+          index: piece.index,
+          frozen: piece.frozen,
+          ...(piece.body
+            ? getBodyState(piece.body)
+            : {
+              position: piece.mesh.position.toArray(),
+              quaternion: piece.mesh.quaternion.toArray(),
+              velocity: [0, 0, 0],
+              angularVelocity: [0, 0, 0],
+            }),
+        }))
+        : null,
+    }));
+  }
+
+  /**
+   * Sustituir los edificios actuales por los guardados con serialize()
+   * @returns {Promise} Se resuelve cuando todos están cargados y en su etapa de daño
+   */
+  restore(buildings) {
+    Object.keys(this.slots).forEach((slotId) => this.demolishBuilding(slotId));
+    return Promise.allSettled(buildings.map((data) => this.restoreBuilding(data)));
+  }
+
+  async restoreBuilding(data) {
+    await this.placeBuilding(data.slotId, data.type);
+
+    const buildingId = this.slots[data.slotId].buildingId;
+    const building = this.buildingVisuals[buildingId];
+    if (!building) return; // El modelo no se pudo cargar
+
+    building.hitPoints = data.hitPoints;
+    building.exposureTime = data.exposureTime;
+    building.peakWindSpeed = data.peakWindSpeed;
+    building.lastTornadoId = data.lastTornadoId;
+
+    if (data.stage !== "intact") {
+      this.setDamageStage(buildingId, data.stage);
+      await building.stageQueue;
+    }
+
+    if (data.debris) {
+      this.restoreDebris(buildingId, data.debris);
     }
   }
 
+  /**
+   * Llevar los pedazos recién creados al estado guardado
+   * (los que ya habían desaparecido se quitan)
+   */
+  restoreDebris(buildingId, savedPieces) {
+    const saved = new Map(savedPieces.map((piece) => [piece.index, piece]));
+
+    this.debris.getPieces(buildingId).slice().forEach((piece) => {
+      const state = saved.get(piece.index);
+      if (!state) {
+        this.debris.removePiece(piece);
+        return;
+      }
+
+      if (piece.frozen) {
+        piece.mesh.matrixAutoUpdate = true;
+        piece.mesh.position.fromArray(state.position);
+        piece.mesh.quaternion.fromArray(state.quaternion);
+        piece.mesh.updateMatrix();
+        piece.mesh.matrixAutoUpdate = false;
+        return;
+      }
+
+      setBodyState(piece.body, state);
+      piece.mesh.position.copy(piece.body.position);
+      piece.mesh.quaternion.copy(piece.body.quaternion);
+      if (state.frozen) {
+        this.debris.freeze(piece);
+      }
+    });
+  }
+
+  /**
+   * @param {number} delta - Segundos desde el último frame
+   */
+  update(delta = 1 / 60) {
+    // Golpes de escombros y objetos durante el último paso de física
+    this.applyImpacts();
+
+    // Escombros: sincronizar los vivos, congelar los asentados, quitar los antiguos
+    this.debris.update(delta);
+
+    Object.values(this.buildingVisuals).forEach((building) => {
+      if (!building.damaged && building.body) {
+        // Si el edificio está intacto, actualizar su posición
+        building.visual.position.copy(building.body.position);
+        building.visual.quaternion.copy(building.body.quaternion);
+      }
+    });
+  }
+
   /**
    * Destruir el sistema
    */
   destroy() {
-    this.closeMenu();
+    this.debris.removeAll();
     Object.values(this.slotVisuals).forEach((slot) => {
       this.scene.remove(slot.visual);
       // Solo remover body si existe
@@ -0,0 +1,245 @@
+import * as THREE from "three";
+
+/**
+ * BuildingSlotsUI - Ratón y menú contextual de los slots de edificios
+ *
+ * Click izquierdo sobre un slot abre el menú para colocar un tipo de edificio
+ * o demoler el actual. BuildingSlots no toca el DOM (funciona sin navegador).
+ *
+ * Uso:
+ * const slotsUI = new BuildingSlotsUI(buildingSlots, camera);
+ */
+export class BuildingSlotsUI {
+  constructor(buildingSlots, camera) {
+    this.buildingSlots = buildingSlots;
+    this.camera = camera;
+
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = new THREE.Vector2();
+    this.contextMenu = null;
+    this.selectedSlot = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.onClick = (event) => {
+      this.onLeftClick(event);
+    };
+    this.onMouseMove = (event) => {
+      this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+      this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    };
+
+    document.addEventListener("click", this.onClick, { passive: true });
+    document.addEventListener("mousemove", this.onMouseMove, { passive: true });
+  }
+
+  onLeftClick(event) {
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+
+    const slotVisuals = Object.values(this.buildingSlots.slotVisuals).map((s) => s.visual);
+
+    const intersects = this.raycaster.intersectObjects(slotVisuals, true);
+
+    if (intersects.length > 0) {
+      const clickedVisual = intersects[0].object;
+      const slotId = Object.keys(this.buildingSlots.slotVisuals).find(
+        (id) => this.buildingSlots.slotVisuals[id].visual === clickedVisual
+      );
+
+      if (slotId) {
+        this.selectedSlot = slotId;
+        this.showBuildingMenu(event.clientX, event.clientY, slotId);
+      }
+    } else {
+      this.closeMenu();
+    }
+  }
+
+  showBuildingMenu(x, y, slotId) {
+    this.closeMenu();
+
+    this.contextMenu = document.createElement("div");
+    this.contextMenu.id = "building-menu";
+    this.contextMenu.style.cssText = `
+            position: fixed;
+            top: ${y}px;
+            left: ${x}px;
+            background: rgba(20, 40, 60, 0.95);
+            border: 2px solid #00ff00;
+            border-radius: 8px;
+            padding: 8px 0;
+            z-index: 10000;
+            box-shadow: 0 8px 16px rgba(0, 0, 0, 0.5);
+            font-family: Arial, sans-serif;
+            min-width: 180px;
+        `;
+
+    // título del menú
+    const title = document.createElement("div");
+    title.style.cssText = `
+            padding: 10px 20px;
+            color: #00ff00;
+            font-weight: bold;
+            border-bottom: 2px solid rgba(0, 255, 0, 0.3);
+        `;
+    title.textContent = `Edificios - ${slotId}`;
+    this.contextMenu.appendChild(title);
+
+    // Opciones de edificios
+    Object.keys(this.buildingSlots.buildings).forEach((buildingType) => {
+      const item = document.createElement("div");
+      item.style.cssText = `
+                padding: 10px 20px;
+                cursor: pointer;
+                color: #00ff00;
+                transition: all 0.2s;
+                user-select: none;
+                border-bottom: 1px solid rgba(0, 255, 0, 0.2);
+            `;
+      item.textContent = `Colocar ${buildingType}`;
+
+      item.addEventListener(
+        "mouseenter",
+        () => {
+          item.style.background = "rgba(0, 255, 0, 0.2)";
+          item.style.paddingLeft = "30px";
+        },
+        { passive: true }
+      );
+
+      item.addEventListener(
+        "mouseleave",
+        () => {
+          item.style.background = "transparent";
+          item.style.paddingLeft = "20px";
+        },
+        { passive: true }
+      );
+
+      item.addEventListener(
+        "mousedown",
+        (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.buildingSlots.placeBuilding(slotId, buildingType);
+          this.closeMenu();
+        },
+        { passive: false }
+      );
+
+      this.contextMenu.appendChild(item);
+    });
+
+    // Opción para reparar si el edificio está dañado
+    const slot = this.buildingSlots.slots[slotId];
+    const building = this.buildingSlots.buildingVisuals[slot.buildingId];
+    if (building && building.stage !== "intact") {
+      const repair = document.createElement("div");
+      repair.style.cssText = `
+                padding: 10px 20px;
+                cursor: pointer;
+                color: #33ccff;
+                transition: all 0.2s;
+                user-select: none;
+                border-top: 1px solid rgba(51, 204, 255, 0.3);
+            `;
+      repair.textContent = "🔧 Reparar";
+
+      repair.addEventListener(
+        "mouseenter",
+        () => {
+          repair.style.background = "rgba(51, 204, 255, 0.2)";
+          repair.style.paddingLeft = "30px";
+        },
+        { passive: true }
+      );
+
+      repair.addEventListener(
+        "mouseleave",
+        () => {
+          repair.style.background = "transparent";
+          repair.style.paddingLeft = "20px";
+        },
+        { passive: true }
+      );
+
+      repair.addEventListener(
+        "mousedown",
+        (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.buildingSlots.repairBuilding(slotId);
+          this.closeMenu();
+        },
+        { passive: false }
+      );
+
+      this.contextMenu.appendChild(repair);
+    }
+
+    // Opción para demoler si hay algo colocado
+    if (slot.occupied) {
+      const demolish = document.createElement("div");
+      demolish.style.cssText = `
+                padding: 10px 20px;
+                cursor: pointer;
+                color: #ff6600;
+                transition: all 0.2s;
+                user-select: none;
+                border-top: 1px solid rgba(255, 102, 0, 0.3);
+            `;
+      demolish.textContent = "🗑️ Demoler";
+
+      demolish.addEventListener(
+        "mouseenter",
+        () => {
+          demolish.style.background = "rgba(255, 102, 0, 0.2)";
+          demolish.style.paddingLeft = "30px";
+        },
+        { passive: true }
+      );
+
+      demolish.addEventListener(
+        "mouseleave",
+        () => {
+          demolish.style.background = "transparent";
+          demolish.style.paddingLeft = "20px";
+        },
+        { passive: true }
+      );
+
+      demolish.addEventListener(
+        "mousedown",
+        (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.buildingSlots.demolishBuilding(slotId);
+          this.closeMenu();
+        },
+        { passive: false }
+      );
+
+      this.contextMenu.appendChild(demolish);
+    }
+
+    document.body.appendChild(this.contextMenu);
+  }
+
+  /**
+   * Cerrar menú
+   */
+  closeMenu() {
+    if (this.contextMenu) {
+      this.contextMenu.remove();
+      this.contextMenu = null;
+    }
+  }
+
+  destroy() {
+    this.closeMenu();
+    document.removeEventListener("click", this.onClick);
+    document.removeEventListener("mousemove", this.onMouseMove);
+  }
+}
@@ -0,0 +1,316 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { ConvexHull } from 'three/addons/math/ConvexHull.js';
+
+/**
+ * Colliders - Formas físicas generadas desde la geometría de un modelo
+ *
+ * Tipos:
+ * - box: caja que envuelve el modelo
+ * - sphere: esfera que envuelve el modelo
+ * - cylinder: cilindro vertical (postes, árboles, depósitos)
+ * - convexHull: envolvente convexa de todos los vértices (ConvexPolyhedron)
+ * - compound: una caja orientada por cada mesh hijo
+ * - trimesh: malla de triángulos exacta (solo estáticos; en cannon-es solo colisiona con esferas y planos)
+ * - heightfield: malla de alturas generada desde la superficie superior (solo estáticos; terreno)
+ *
+ * Las formas se expresan en el sistema de referencia del cuerpo (frame):
+ * los vértices se pasan a ese sistema antes de construirlas.
+ *
+ * Uso:
+ * const body = new CANNON.Body({ mass: 5 });
+ * addColliderShapes(body, model, 'convexHull', { position: model.position, quaternion: model.quaternion });
+ */
+
+export const COLLIDER_TYPES = ['box', 'sphere', 'cylinder', 'convexHull', 'compound', 'trimesh', 'heightfield'];
+
+// Las envolventes con demasiados vértices hacen muy lentas las colisiones
+const MAX_HULL_VERTICES = 24;
+const MIN_HALF_EXTENT = 0.01;
+
+const _vertex = new THREE.Vector3();
+const _toFrame = new THREE.Matrix4();
+const _frameMatrix = new THREE.Matrix4();
+const _unitScale = new THREE.Vector3(1, 1, 1);
+
+/**
+ * Agregar al cuerpo las formas del tipo indicado
+ * @param {CANNON.Body} body
+ * @param {THREE.Object3D} object - Modelo o mesh (con matrixWorld actualizada)
+ * @param {string} type - Uno de COLLIDER_TYPES
+ * @param {object} frame
+ *   - position: THREE.Vector3 - Posición del cuerpo en el mundo
+ *   - quaternion: THREE.Quaternion - Rotación del cuerpo en el mundo
+ *   - shrink: número (default: 1) - Escala de las formas respecto a su centro (anti-solapamiento)
+ *   - elementSize: número (default: 1) - Separación de la malla de alturas (solo heightfield)
+ */
+export function addColliderShapes(body, object, type, frame) {
+    if (!COLLIDER_TYPES.includes(type)) {
+        throw new Error(`Tipo de collider desconocido: ${type}`);
+    }
+
+    let shapeType = type;
+    if ((type === 'trimesh' || type === 'heightfield') && body.mass > 0) {
+        // cannon-es no calcula colisiones de Trimesh ni Heightfield dinámicos
+        console.warn(`El collider ${type} solo admite cuerpos estáticos; se usa convexHull`);
+        shapeType = 'convexHull';
+    }
+
+    object.updateMatrixWorld(true);
+    _frameMatrix.compose(frame.position, frame.quaternion, _unitScale);
+    _toFrame.copy(_frameMatrix).invert();
+
+    const shrink = frame.shrink ?? 1;
+
+    if (shapeType === 'compound') {
+        addCompoundShapes(body, object, frame, shrink);
+        return body;
+    }
+
+    const vertices = collectVertices(object);
+    if (vertices.length === 0) {
+        throw new Error('El modelo no tiene geometría para generar el collider');
+    }
+
+    const bbox = new THREE.Box3().setFromPoints(vertices);
+    const center = bbox.getCenter(new THREE.Vector3());
+    if (shrink !== 1) {
+        vertices.forEach((v) => v.sub(center).multiplyScalar(shrink).add(center));
+        bbox.setFromPoints(vertices);
+    }
+
+    if (shapeType === 'box') {
+        addBoxShape(body, bbox);
+    } else if (shapeType === 'sphere') {
+        const radius = Math.max(...vertices.map((v) => v.distanceTo(center)), MIN_HALF_EXTENT);
+        body.addShape(new CANNON.Sphere(radius), toVec3(center));
+    } else if (shapeType === 'cylinder') {
+        const radius = Math.max(...vertices.map((v) => Math.hypot(v.x - center.x, v.z - center.z)), MIN_HALF_EXTENT);
+        const height = Math.max(bbox.max.y - bbox.min.y, MIN_HALF_EXTENT * 2);
+        body.addShape(new CANNON.Cylinder(radius, radius, height, 12), toVec3(center));
+    } else if (shapeType === 'convexHull') {
+        if (!addConvexHullShape(body, vertices)) {
+            // Geometría plana o degenerada: no hay volumen para una envolvente
+            addBoxShape(body, bbox);
+        }
+    } else if (shapeType === 'trimesh') {
+        const { vertices: positions, indices } = collectTriangles(object);
+        body.addShape(new CANNON.Trimesh(positions, indices));
+    } else if (shapeType === 'heightfield') {
+        addHeightfieldShape(body, object, bbox, frame.elementSize ?? 1);
+    }
+
+    return body;
+}
+
+/**
+ * Vértices de todos los meshes del objeto en el sistema del cuerpo
+ */
+function collectVertices(object) {
+    const vertices = [];
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        const positions = child.geometry.attributes.position;
+        const matrix = new THREE.Matrix4().multiplyMatrices(_toFrame, child.matrixWorld);
+        for (let i = 0; i < positions.count; i++) {
+            vertices.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(matrix));
+        }
+    });
+    return vertices;
+}
+
+function addBoxShape(body, bbox) {
+    const size = bbox.getSize(new THREE.Vector3());
+    const center = bbox.getCenter(new THREE.Vector3());
+    body.addShape(
+        new CANNON.Box(new CANNON.Vec3(
+            Math.max(size.x / 2, MIN_HALF_EXTENT),
+            Math.max(size.y / 2, MIN_HALF_EXTENT),
+            Math.max(size.z / 2, MIN_HALF_EXTENT)
+        )),
+        toVec3(center)
+    );
+}
+
+/**
+ * ConvexPolyhedron a partir de la envolvente convexa de los puntos
+ * @returns {boolean} false si los puntos no tienen volumen
+ */
+function addConvexHullShape(body, points) {
+    let hull = new ConvexHull().setFromPoints(points);
+    if (hull.faces.length < 4) return false;
+
+    // Simplificar: rehacer la envolvente con un subconjunto de sus vértices
+    if (hull.vertices.length > MAX_HULL_VERTICES) {
+        const step = hull.vertices.length / MAX_HULL_VERTICES;
+        const subset = [];
+        for (let i = 0; i < MAX_HULL_VERTICES; i++) {
+            subset.push(hull.vertices[Math.floor(i * step)].point);
+        }
+        hull = new ConvexHull().setFromPoints(subset);
+        if (hull.faces.length < 4) return false;
+    }
+
+    // cannon-es espera el origen de la forma dentro del poliedro: centrarlo en el centroide
+    const centroid = new THREE.Vector3();
+    hull.vertices.forEach((vertex) => centroid.add(vertex.point));
+    centroid.divideScalar(hull.vertices.length);
+
+    const indices = new Map();
+    const vertices = [];
+    const faces = hull.faces.map((face) => {
+        const faceIndices = [];
+        let edge = face.edge;
+        do {
+            const point = edge.head().point;
+            if (!indices.has(point)) {
+                indices.set(point, vertices.length);
+                vertices.push(toVec3(point.clone().sub(centroid)));
+            }
+            faceIndices.push(indices.get(point));
+            edge = edge.next;
+        } while (edge !== face.edge);
+        return faceIndices;
+    });
+
+    body.addShape(new CANNON.ConvexPolyhedron({ vertices, faces }), toVec3(centroid));
+    return true;
+}
+
+/**
+ * Vértices (planos) e índices de todos los triángulos del objeto (en el sistema del cuerpo)
+ */
+function collectTriangles(object) {
+    const vertices = [];
+    const indices = [];
+
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        const geometry = child.geometry;
+        const positions = geometry.attributes.position;
+        const matrix = new THREE.Matrix4().multiplyMatrices(_toFrame, child.matrixWorld);
+        const offset = vertices.length / 3;
+
+        for (let i = 0; i < positions.count; i++) {
+            _vertex.fromBufferAttribute(positions, i).applyMatrix4(matrix);
+            vertices.push(_vertex.x, _vertex.y, _vertex.z);
+        }
+
+        if (geometry.index) {
+            for (let i = 0; i < geometry.index.count; i++) {
+                indices.push(offset + geometry.index.getX(i));
+            }
+        } else {
+            for (let i = 0; i < positions.count; i++) {
+                indices.push(offset + i);
+            }
+        }
+    });
+
+    return { vertices, indices };
+}
+
+/**
+ * Heightfield con la altura máxima de la geometría en cada punto de una malla regular
+ * (los triángulos se rasterizan sobre la malla en el plano XZ)
+ */
+function addHeightfieldShape(body, object, bbox, elementSize) {
+    const { vertices, indices } = collectTriangles(object);
+    const columns = Math.max(Math.ceil((bbox.max.x - bbox.min.x) / elementSize), 1) + 1;
+    const rows = Math.max(Math.ceil((bbox.max.z - bbox.min.z) / elementSize), 1) + 1;
+
+    // data[i][j]: i avanza en +X desde min.x, j avanza en -Z desde max.z
+    const data = [];
+    for (let i = 0; i < columns; i++) {
+        data.push(new Array(rows).fill(-Infinity));
+    }
+
+    const point = (index) => ({
+        x: (vertices[index * 3] - bbox.min.x) / elementSize,
+        y: vertices[index * 3 + 1],
+        z: (bbox.max.z - vertices[index * 3 + 2]) / elementSize
+    });
+
+    for (let t = 0; t < indices.length; t += 3) {
+        const a = point(indices[t]);
+        const b = point(indices[t + 1]);
+        const c = point(indices[t + 2]);
+
+        const area = (b.x - a.x) * (c.z - a.z) - (c.x - a.x) * (b.z - a.z);
+        if (Math.abs(area) < 1e-9) continue; // Triángulo vertical o degenerado
+
+        const minI = Math.max(Math.ceil(Math.min(a.x, b.x, c.x)), 0);
+        const maxI = Math.min(Math.floor(Math.max(a.x, b.x, c.x)), columns - 1);
+        const minJ = Math.max(Math.ceil(Math.min(a.z, b.z, c.z)), 0);
+        const maxJ = Math.min(Math.floor(Math.max(a.z, b.z, c.z)), rows - 1);
+
+        for (let i = minI; i <= maxI; i++) {
+            for (let j = minJ; j <= maxJ; j++) {
+                // Coordenadas baricéntricas del punto de la malla
+                const wb = ((i - a.x) * (c.z - a.z) - (c.x - a.x) * (j - a.z)) / area;
+                const wc = ((b.x - a.x) * (j - a.z) - (i - a.x) * (b.z - a.z)) / area;
+                const wa = 1 - wb - wc;
+                if (wa < -1e-6 || wb < -1e-6 || wc < -1e-6) continue;
+
+                const height = wa * a.y + wb * b.y + wc * c.y;
+                if (height > data[i][j]) data[i][j] = height;
+            }
+        }
+    }
+
+    // Puntos sin geometría encima: a la altura mínima
+    data.forEach((column) => {
+        column.forEach((height, j) => {
+            if (height === -Infinity) column[j] = bbox.min.y;
+        });
+    });
+
+    // El Heightfield de cannon-es es un plano XY con alturas en Z: girarlo para que Z sea "arriba"
+    const orientation = new CANNON.Quaternion();
+    orientation.setFromEuler(-Math.PI / 2, 0, 0);
+    body.addShape(
+        new CANNON.Heightfield(data, { elementSize }),
+        new CANNON.Vec3(bbox.min.x, 0, bbox.max.z),
+        orientation
+    );
+}
+
+/**
+ * Una caja orientada por mesh hijo (en su propio sistema local)
+ */
+function addCompoundShapes(body, object, frame, shrink) {
+    const inverseQuaternion = frame.quaternion.clone().invert();
+
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+
+        child.geometry.computeBoundingBox();
+        const box = child.geometry.boundingBox;
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        child.matrixWorld.decompose(position, quaternion, scale);
+
+        const size = box.getSize(new THREE.Vector3()).multiply(scale).multiplyScalar(shrink);
+        const center = box.getCenter(new THREE.Vector3()).applyMatrix4(child.matrixWorld).applyMatrix4(_toFrame);
+        const orientation = inverseQuaternion.clone().multiply(quaternion);
+
+        body.addShape(
+            new CANNON.Box(new CANNON.Vec3(
+                Math.max(Math.abs(size.x) / 2, MIN_HALF_EXTENT),
+                Math.max(Math.abs(size.y) / 2, MIN_HALF_EXTENT),
+                Math.max(Math.abs(size.z) / 2, MIN_HALF_EXTENT)
+            )),
+            toVec3(center),
+            new CANNON.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+        );
+    });
+
+    if (body.shapes.length === 0) {
+        throw new Error('El modelo no tiene geometría para generar el collider');
+    }
+}
+
+function toVec3(vector) {
+    return new CANNON.Vec3(vector.x, vector.y, vector.z);
+}
@@ -0,0 +1,90 @@
+/**
+ * Clases de construcción para BuildingSlots.addBuilding
+ *
+ * Cada clase define la resistencia al viento y cómo se comportan sus escombros.
+ * Cualquier valor se puede sobrescribir en las opciones de addBuilding.
+ *
+ * - windResistance: viento (m/s) a partir del cual la estructura empieza a dañarse
+ * - hitPoints: puntos de vida estructurales
+ * - debrisMass: masa de cada pedazo al colapsar
+ * - maxDebris: máximo de pedazos con física (los más pequeños se descartan)
+ * - debrisFriction / debrisRestitution: material de los pedazos
+ * - debrisDrag / debrisLift: coeficientes aerodinámicos de los pedazos
+ * - replacementCost: costo de reponer el edificio completo (para el informe de daños)
+ * - impactResistance: impulso (N·s) a partir del cual un escombro u objeto que lo golpea lo daña
+ */
+export const CONSTRUCTION_CLASSES = {
+    mobileHome: {
+        label: 'Casa móvil',
+        windResistance: 30,
+        hitPoints: 60,
+        debrisMass: 0.5,
+        maxDebris: 40,
+        debrisFriction: 0.3,
+        debrisRestitution: 0.3,
+        debrisDrag: 1.3,
+        debrisLift: 0.7,
+        replacementCost: 70000,
+        impactResistance: 8
+    },
+    woodFrame: {
+        label: 'Estructura de madera',
+        windResistance: 40,
+        hitPoints: 100,
+        debrisMass: 1,
+        maxDebris: 60,
+        debrisFriction: 0.5,
+        debrisRestitution: 0.25,
+        debrisDrag: 1.2,
+        debrisLift: 0.5,
+        replacementCost: 200000,
+        impactResistance: 15
+    },
+    masonry: {
+        label: 'Mampostería',
+        windResistance: 48,
+        hitPoints: 130,
+        debrisMass: 2.5,
+        maxDebris: 80,
+        debrisFriction: 0.7,
+        debrisRestitution: 0.1,
+        debrisDrag: 1.05,
+        debrisLift: 0.3,
+        replacementCost: 280000,
+        impactResistance: 30
+    },
+    reinforcedConcrete: {
+        label: 'Concreto reforzado',
+        windResistance: 62,
+        hitPoints: 220,
+        debrisMass: 4,
+        maxDebris: 50,
+        debrisFriction: 0.8,
+        debrisRestitution: 0.05,
+        debrisDrag: 1.05,
+        debrisLift: 0.2,
+        replacementCost: 1200000,
+        impactResistance: 60
+    }
+};
+
+export const DEFAULT_CONSTRUCTION_CLASS = 'woodFrame';
+
+/**
+ * Propiedades estructurales finales: las de la clase más las que se sobrescriban
+ * @param {object} options - { constructionClass, windResistance, hitPoints, ... }
+ */
+export function resolveConstructionProperties(options = {}) {
+    const className = options.constructionClass || DEFAULT_CONSTRUCTION_CLASS;
+    const base = CONSTRUCTION_CLASSES[className];
+
+    if (!base) {
+        throw new Error(`Clase de construcción desconocida: ${className}`);
+    }
+
+    const properties = { constructionClass: className };
+    Object.keys(base).forEach((key) => {
+        properties[key] = options[key] ?? base[key];
+    });
+    return properties;
+}
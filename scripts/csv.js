@@ -0,0 +1,26 @@
+/**
+ * CSV para exportar resultados (experimentos por lotes, informe de daños)
+ *
+ * Uso:
+ * const csv = toCSV(['slotId', 'stage'], [['slot_0_0', 'collapsed']]);
+ */
+
+/**
+ * @param {string[]} header
+ * @param {array[]} rows - Una lista de valores por fila
+ * @returns {string} Con salto de línea final
+ */
+export function toCSV(header, rows) {
+    return [header, ...rows].map((row) => row.map(formatCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Una celda: vacía si no hay valor, números con 3 decimales, texto entre comillas si hace falta
+ */
+export function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
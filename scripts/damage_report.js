@@ -0,0 +1,233 @@
+import { DAMAGE_STAGES } from './building_slots.js';
+import { toCSV } from './csv.js';
+
+/**
+ * DamageReport - Informe de daños de una tormenta
+ *
+ * Escucha el bus de la simulación desde que se crea (o desde reset()): guarda
+ * el recorrido de cada tornado, cuándo se dañó cada edificio y hasta dónde
+ * llegaron sus escombros. generate() arma el informe con el estado actual:
+ * edificios dañados por tipo, distancia de cada uno al recorrido del tornado,
+ * pedazos de escombro y pérdida estimada según el costo de reposición de cada
+ * tipo (replacementCost en addBuilding o en la clase de construcción).
+ *
+ * Uso:
+ * const report = new DamageReport(simulation);
+ * // ... pasa la tormenta ...
+ * const result = report.generate();
+ * download(damageReportToCSV(result));
+ */
+
+// Fracción del costo de reposición que se pierde en cada etapa
+export const STAGE_LOSS = {
+    intact: 0,
+    roofLoss: 0.25,
+    cracked: 0.6,
+    collapsed: 1
+};
+
+// Metros mínimos entre dos puntos guardados del recorrido
+const TRACK_SPACING = 1;
+
+export class DamageReport {
+    /**
+     * @param {Simulation} simulation
+     * @param {object} options
+     *   - sampleInterval: número (default: 0.5) - Cada cuántos segundos se mide la distancia de los escombros
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.sampleInterval = options.sampleInterval ?? 0.5;
+
+        const { events, clock } = simulation;
+        this.unsubscribe = [
+            events.on('tornadoMoved', ({ tornadoId, position }) => this.addTrackPoint(tornadoId, position)),
+            events.on('buildingDamaged', (event) => this.recordDamage(event)),
+            clock.on('step', ({ time }) => {
+                if (time - this.lastSampleTime >= this.sampleInterval) {
+                    this.lastSampleTime = time;
+                    this.sampleDebris();
+                }
+            })
+        ];
+
+        this.reset();
+    }
+
+    /**
+     * Empezar un informe nuevo (olvida recorridos y daños anteriores, p. ej. después de reparar)
+     */
+    reset() {
+        this.startTime = this.simulation.clock.time;
+        this.lastSampleTime = this.startTime;
+        this.tracks = new Map();  // { tornadoId: [[x, z], ...] }
+        this.records = new Map(); // { buildingId: { firstHitTime, collapseTime, tornadoId, maxDebrisDistance } }
+    }
+
+    addTrackPoint(tornadoId, position) {
+        if (!this.tracks.has(tornadoId)) this.tracks.set(tornadoId, []);
+        const track = this.tracks.get(tornadoId);
+
+        const last = track[track.length - 1];
+        if (!last || Math.hypot(position.x - last[0], position.z - last[1]) >= TRACK_SPACING) {
+            track.push([position.x, position.z]);
+        }
+    }
+
+    recordDamage({ buildingId, stage, time, tornadoId }) {
+        const record = this.getRecord(buildingId);
+        if (record.firstHitTime === null) record.firstHitTime = time - this.startTime;
+        if (stage === 'collapsed') record.collapseTime = time - this.startTime;
+        if (tornadoId) record.tornadoId = tornadoId;
+    }
+
+    /**
+     * Los pedazos pueden desaparecer (vida máxima): guardar la mayor distancia vista
+     */
+    sampleDebris() {
+        Object.entries(this.simulation.buildingSlots.buildingVisuals).forEach(([buildingId, building]) => {
+            if (!building.damaged) return;
+            const record = this.getRecord(buildingId);
+            record.maxDebrisDistance = Math.max(record.maxDebrisDistance, debrisDistance(building));
+        });
+    }
+
+    getRecord(buildingId) {
+        if (!this.records.has(buildingId)) {
+            this.records.set(buildingId, {
+                firstHitTime: null,
+                collapseTime: null,
+                tornadoId: null,
+                maxDebrisDistance: 0
+            });
+        }
+        return this.records.get(buildingId);
+    }
+
+    /**
+     * Informe con el estado actual de los edificios
+     * @returns {object} { generatedAt, duration, buildings, byType, totals }
+     */
+    generate() {
+        this.sampleDebris();
+
+        const { buildingSlots } = this.simulation;
+        const buildings = Object.entries(buildingSlots.buildingVisuals).map(([buildingId, building]) => {
+            const config = buildingSlots.buildings[building.type];
+            const record = this.getRecord(buildingId);
+            const replacementCost = config.replacementCost ?? 0;
+            const [x, , z] = building.originalPosition;
+
+            return {
+                buildingId,
+                slotId: building.slotId,
+                type: building.type,
+                constructionClass: config.constructionClass,
+                stage: building.stage,
+                hitPoints: building.hitPoints,
+                maxHitPoints: building.maxHitPoints,
+                firstHitTime: record.firstHitTime,
+                collapseTime: record.collapseTime,
+                tornadoId: record.tornadoId,
+                peakWindSpeed: building.peakWindSpeed,
+                trackDistance: this.distanceToTracks(x, z),
+                debrisCount: building.damaged ? building.crackedBodies.length : 0,
+                maxDebrisDistance: record.maxDebrisDistance,
+                replacementCost,
+                estimatedLoss: replacementCost * STAGE_LOSS[building.stage]
+            };
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            duration: this.simulation.clock.time - this.startTime,
+            buildings,
+            byType: summarizeByType(buildings),
+            totals: summarize(buildings)
+        };
+    }
+
+    /**
+     * Distancia horizontal mínima de un punto a los recorridos de todos los tornados
+     * @returns {number|null} null si no pasó ningún tornado
+     */
+    distanceToTracks(x, z) {
+        let min = Infinity;
+        this.tracks.forEach((track) => {
+            if (track.length === 1) {
+                min = Math.min(min, Math.hypot(x - track[0][0], z - track[0][1]));
+            }
+            for (let i = 1; i < track.length; i++) {
+                min = Math.min(min, distanceToSegment(x, z, track[i - 1], track[i]));
+            }
+        });
+        return min === Infinity ? null : min;
+    }
+
+    destroy() {
+        this.unsubscribe.forEach((off) => off());
+    }
+}
+
+/**
+ * Distancia horizontal máxima entre los escombros de un edificio y su slot
+ */
+export function debrisDistance(building) {
+    const [x, , z] = building.originalPosition;
+    return building.crackedBodies.reduce((max, piece) => {
+        const { position } = piece.mesh;
+        return Math.max(max, Math.hypot(position.x - x, position.z - z));
+    }, 0);
+}
+
+/**
+ * Una fila por edificio
+ */
+export function damageReportToCSV(report) {
+    const header = [
+        'buildingId', 'slotId', 'type', 'constructionClass', 'stage', 'hitPoints', 'firstHitTime',
+        'collapseTime', 'tornadoId', 'peakWindSpeed', 'trackDistance', 'debrisCount',
+        'maxDebrisDistance', 'replacementCost', 'estimatedLoss'
+    ];
+    return toCSV(header, report.buildings.map((building) => header.map((key) => building[key])));
+}
+
+function summarizeByType(buildings) {
+    const byType = new Map();
+    buildings.forEach((building) => {
+        if (!byType.has(building.type)) byType.set(building.type, []);
+        byType.get(building.type).push(building);
+    });
+
+    return Array.from(byType.entries()).map(([type, group]) => ({ type, ...summarize(group) }));
+}
+
+function summarize(buildings) {
+    const damaged = buildings.filter((building) => building.stage !== 'intact');
+    const stageCounts = Object.fromEntries(DAMAGE_STAGES.map((stage) => [
+        stage,
+        buildings.filter((building) => building.stage === stage).length
+    ]));
+
+    return {
+        buildings: buildings.length,
+        damaged: damaged.length,
+        ...stageCounts,
+        debrisCount: sum(buildings.map((building) => building.debrisCount)),
+        maxDebrisDistance: Math.max(0, ...buildings.map((building) => building.maxDebrisDistance)),
+        replacementCost: sum(buildings.map((building) => building.replacementCost)),
+        estimatedLoss: sum(buildings.map((building) => building.estimatedLoss))
+    };
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function distanceToSegment(x, z, [ax, az], [bx, bz]) {
+    const dx = bx - ax;
+    const dz = bz - az;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.min(Math.max(((x - ax) * dx + (z - az) * dz) / lengthSq, 0), 1) : 0;
+    return Math.hypot(x - (ax + t * dx), z - (az + t * dz));
+}
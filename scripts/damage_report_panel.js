@@ -0,0 +1,145 @@
+import { damageReportToCSV } from './damage_report.js';
+
+/**
+ * DamageReportPanel - Panel del informe de daños (solo navegador)
+ *
+ * Muestra los totales, un resumen por tipo de edificio y el detalle de los
+ * edificios dañados; los botones descargan el informe en JSON o CSV.
+ *
+ * Uso:
+ * const panel = new DamageReportPanel(damageReport);
+ * panel.show(); // Genera el informe con el estado actual
+ */
+
+const STAGE_LABELS = {
+    intact: 'Intacto',
+    roofLoss: 'Sin techo',
+    cracked: 'Agrietado',
+    collapsed: 'Colapsado'
+};
+
+export class DamageReportPanel {
+    /**
+     * @param {DamageReport} damageReport
+     * @param {HTMLElement} element - Contenedor (default: #damage-report de index.html)
+     */
+    constructor(damageReport, element = document.getElementById('damage-report')) {
+        this.damageReport = damageReport;
+        this.element = element;
+        this.summary = element.querySelector('.report-summary');
+        this.typeTable = element.querySelector('.report-types');
+        this.buildingTable = element.querySelector('.report-buildings');
+        this.report = null;
+
+        this.onClick = (event) => {
+            const action = event.target.dataset?.action;
+            if (action === 'json') this.exportJSON();
+            if (action === 'csv') this.exportCSV();
+            if (action === 'refresh') this.show();
+            if (action === 'close') this.hide();
+        };
+        element.addEventListener('click', this.onClick);
+    }
+
+    get visible() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    show() {
+        this.report = this.damageReport.generate();
+        this.render(this.report);
+        this.element.classList.remove('hidden');
+    }
+
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    render(report) {
+        const { totals } = report;
+        this.summary.textContent =
+            `${totals.damaged} de ${totals.buildings} edificios dañados · ${totals.collapsed} colapsados · ` +
+            `${totals.debrisCount} pedazos (máx. ${formatNumber(totals.maxDebrisDistance)} m) · ` +
+            `pérdida estimada ${formatMoney(totals.estimatedLoss)}`;
+
+        fillTable(this.typeTable, ['Tipo', 'Edificios', 'Dañados', 'Colapsados', 'Pedazos', 'Pérdida'],
+            report.byType.map((group) => [
+                group.type,
+                group.buildings,
+                group.damaged,
+                group.collapsed,
+                group.debrisCount,
+                formatMoney(group.estimatedLoss)
+            ]));
+
+        const damaged = report.buildings.filter((building) => building.stage !== 'intact');
+        fillTable(this.buildingTable, ['Edificio', 'Etapa', 'Golpe (s)', 'Al recorrido (m)', 'Pedazos', 'Alcance (m)', 'Pérdida'],
+            damaged.map((building) => [
+                building.buildingId,
+                STAGE_LABELS[building.stage],
+                formatNumber(building.firstHitTime),
+                formatNumber(building.trackDistance),
+                building.debrisCount,
+                formatNumber(building.maxDebrisDistance),
+                formatMoney(building.estimatedLoss)
+            ]));
+    }
+
+    exportJSON() {
+        if (!this.report) return;
+        download(JSON.stringify(this.report, null, 2), 'informe_danos.json', 'application/json');
+    }
+
+    exportCSV() {
+        if (!this.report) return;
+        download(damageReportToCSV(this.report), 'informe_danos.csv', 'text/csv');
+    }
+
+    destroy() {
+        this.element.removeEventListener('click', this.onClick);
+    }
+}
+
+function fillTable(table, header, rows) {
+    const headRow = document.createElement('tr');
+    headRow.replaceChildren(...header.map((text) => cell('th', text)));
+    const bodyRows = rows.map((values) => {
+        const row = document.createElement('tr');
+        row.replaceChildren(...values.map((value) => cell('td', value)));
+        return row;
+    });
+    table.replaceChildren(headRow, ...bodyRows);
+}
+
+function cell(tag, value) {
+    const element = document.createElement(tag);
+    element.textContent = String(value);
+    return element;
+}
+
+function formatNumber(value) {
+    return value === null || value === undefined ? '—' : value.toFixed(1);
+}
+
+function formatMoney(value) {
+    return `$${Math.round(value).toLocaleString('es')}`;
+}
+
+function download(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
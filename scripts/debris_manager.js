@@ -0,0 +1,311 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { applyAerodynamicForces, createAeroProfile } from './aerodynamics.js';
+import { addColliderShapes } from './colliders.js';
+
+/**
+ * DebrisManager - Ciclo de vida de los escombros
+ *
+ * - Límite global de cuerpos vivos: al superarlo, los más antiguos se congelan o se quitan
+ * - Los pedazos en reposo se duermen y, tras settleTime, se congelan como
+ *   escombro estático (se quita el cuerpo, se conserva el mesh)
+ * - Los pedazos que siguen vivos después de maxAge desaparecen
+ * - Solo los pedazos despiertos reciben viento y se sincronizan cada frame
+ *
+ * Uso:
+ * const debris = new DebrisManager(scene, physicsWorld, { maxBodies: 300 });
+ * debris.add(mesh, body, aeroProfile, 'edificio_1');
+ * debris.addFromMesh(pieza, { mass: 1, collider: 'box' }, 'edificio_1'); // Pieza de un modelo
+ * debris.applyWind(tornado);
+ * debris.update(delta);
+ */
+export class DebrisManager {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {CANNON.World} physicsWorld
+     * @param {object} options
+     *   - maxBodies: número (default: 300) - Máximo de pedazos con cuerpo físico
+     *   - maxAge: número (default: 180) - Segundos antes de eliminar un pedazo que no se asienta
+     *   - rubbleMaxAge: número (default: Infinity) - Segundos antes de eliminar el escombro congelado
+     *   - settleTime: número (default: 2) - Segundos dormido antes de congelarse
+     *   - wakeWindSpeed: número (default: 8) - Viento (m/s) que despierta a un pedazo dormido
+     */
+    constructor(scene, physicsWorld, options = {}) {
+        const {
+            maxBodies = 300,
+            maxAge = 180,
+            rubbleMaxAge = Infinity,
+            settleTime = 2,
+            wakeWindSpeed = 8
+        } = options;
+
+        this.scene = scene;
+        this.physicsWorld = physicsWorld;
+        this.maxBodies = maxBodies;
+        this.maxAge = maxAge;
+        this.rubbleMaxAge = rubbleMaxAge;
+        this.settleTime = settleTime;
+        this.wakeWindSpeed = wakeWindSpeed;
+
+        this.time = 0;
+        this.live = [];   // Pedazos con cuerpo, del más antiguo al más nuevo
+        this.rubble = []; // Pedazos congelados (solo mesh)
+        this.byOwner = new Map(); // { owner: [pedazos] }
+
+        // Permitir que los cuerpos en reposo se duerman
+        this.physicsWorld.allowSleep = true;
+    }
+
+    /**
+     * Registrar un pedazo (el cuerpo se agrega al mundo físico)
+     * @param {THREE.Mesh} mesh
+     * @param {CANNON.Body} body
+     * @param {object} aero - Perfil de createAeroProfile
+     * @param {string} owner - Id del edificio de origen
+     * @returns {object} Pedazo { mesh, body, aero, owner, spawnTime, restTime, frozen }
+     */
+    add(mesh, body, aero, owner = null) {
+        body.sleepSpeedLimit = 0.3;
+        body.sleepTimeLimit = 0.5;
+        this.physicsWorld.addBody(body);
+
+        const piece = { mesh, body, aero, owner, spawnTime: this.time, restTime: 0, frozen: false };
+        this.live.push(piece);
+        this.getPieces(owner).push(piece);
+
+        // Respetar el límite global: el más antiguo se congela si está quieto
+        // (si sigue en el aire, desaparece para no dejar escombro flotando)
+        while (this.live.length > this.maxBodies) {
+            const oldest = this.live[0];
+            if (oldest.body.velocity.length() < 1) {
+                this.freeze(oldest);
+            } else {
+                this.removePiece(oldest);
+            }
+        }
+
+        return piece;
+    }
+
+    /**
+     * Separar un mesh de su modelo y convertirlo en pedazo con física
+     * (el modelo debe tener la matrixWorld actualizada)
+     * @param {THREE.Mesh} child - Pieza del modelo (su geometría se copia y se centra)
+     * @param {object} options
+     *   - mass: número (default: 1)
+     *   - material: CANNON.Material
+     *   - collider: string (default: 'box') - Forma física (ver colliders.js)
+     *   - dragCoefficient, liftCoefficient: número - Coeficientes aerodinámicos
+     *   - raise: número (default: 0) - Metros que se levanta el pedazo (para no nacer dentro del suelo)
+     *   - velocity: THREE.Vector3 | CANNON.Vec3 - Velocidad inicial (p. ej. la del objeto que se rompe)
+     * @param {string} owner - Id del objeto de origen
+     * @returns {object} El pedazo (ver add)
+     */
+    addFromMesh(child, options = {}, owner = null) {
+        const {
+            mass = 1,
+            material,
+            collider = 'box',
+            dragCoefficient,
+            liftCoefficient,
+            raise = 0,
+            velocity = null
+        } = options;
+
+        // 1. Obtener transformaciones mundiales actuales del PIVOTE
+        const worldPos = new THREE.Vector3();
+        const worldQuat = new THREE.Quaternion();
+        const worldScale = new THREE.Vector3();
+        child.matrixWorld.decompose(worldPos, worldQuat, worldScale);
+
+        // 2. Calcular el centro real de la geometría (Bounding Box local)
+        // La geometría se comparte con la caché de ModelLoader: copiarla antes de moverla
+        child.geometry = child.geometry.clone();
+        child.geometry.computeBoundingBox();
+        const box = child.geometry.boundingBox;
+        const size = new THREE.Vector3();
+        box.getSize(size);
+        const center = new THREE.Vector3();
+        box.getCenter(center);
+
+        // 3. CORRECCIÓN DE PIVOTE:
+        // Movemos la geometría para que su origen (0,0,0) sea su centro real.
+        // Esto alinea visuales y físicas perfectamente.
+        child.geometry.translate(-center.x, -center.y, -center.z);
+
+        // 4. Calcular dónde debe ir el objeto en el mundo real
+        // (Posición del pivote original + offset del centro rotado)
+        const centerOffset = center.clone().applyQuaternion(worldQuat);
+        const realCenterPos = worldPos.clone().add(centerOffset);
+
+        // 5. Separar del padre y actualizar posición
+        child.removeFromParent();
+        this.scene.add(child);
+
+        // Colocamos el mesh en su centro real
+        child.position.copy(realCenterPos);
+        child.quaternion.copy(worldQuat);
+        child.scale.copy(worldScale);
+        child.position.y += raise;
+
+        // 6. Reducir caja física (Anti-overlap)
+        const physicsSize = size.clone().multiplyScalar(0.85);
+
+        // Crear cuerpo físico (forma reducida un 15%, anti-overlap)
+        const body = new CANNON.Body({
+            mass,
+            material,
+            linearDamping: 0.05,
+            angularDamping: 0.05
+        });
+        addColliderShapes(body, child, collider, {
+            position: child.position,
+            quaternion: child.quaternion,
+            shrink: 0.85
+        });
+
+        // Sincronizar posición inicial (Mesh y Body ahora comparten el mismo centro)
+        body.position.copy(child.position);
+        body.quaternion.copy(child.quaternion);
+        if (velocity) {
+            body.velocity.set(velocity.x, velocity.y, velocity.z);
+        }
+
+        // Despertar suave
+        body.wakeUp();
+
+        // Centro de la caja en el marco del cuerpo, igual que el casco de addColliderShapes
+        const aeroCenter = new THREE.Box3().setFromObject(child).getCenter(new THREE.Vector3())
+            .sub(child.position)
+            .applyQuaternion(child.quaternion.clone().invert());
+        const aero = createAeroProfile(physicsSize.clone().multiplyScalar(0.5), {
+            dragCoefficient,
+            liftCoefficient,
+            center: aeroCenter
+        });
+        return this.add(child, body, aero, owner);
+    }
+
+    /**
+     * Pedazos (vivos y congelados) de un edificio. El array se mantiene actualizado.
+     */
+    getPieces(owner) {
+        if (!this.byOwner.has(owner)) {
+            this.byOwner.set(owner, []);
+        }
+        return this.byOwner.get(owner);
+    }
+
+    get liveCount() {
+        return this.live.length;
+    }
+
+    get rubbleCount() {
+        return this.rubble.length;
+    }
+
+    /**
+     * Aplicar el viento a los pedazos despiertos (o a los dormidos si el viento es fuerte)
+     * @param {object} windSource - Tornado o TornadoManager
+     * @param {number} delta - Duración del paso de física
+     */
+    applyWind(windSource, delta = 1 / 60) {
+        this.live.forEach((piece) => {
+            const body = piece.body;
+
+            if (body.sleepState === CANNON.Body.SLEEPING) {
+                const wind = windSource.sampleWind(body.position);
+                if (wind.length() < this.wakeWindSpeed) return;
+                body.wakeUp();
+                piece.restTime = 0;
+            }
+
+            applyAerodynamicForces(body, piece.aero, windSource, { dt: delta });
+        });
+    }
+
+    /**
+     * Sincronizar meshes, congelar lo asentado y eliminar lo antiguo
+     */
+    update(delta) {
+        this.time += delta;
+
+        this.live.slice().forEach((piece) => {
+            const body = piece.body;
+
+            if (body.sleepState === CANNON.Body.SLEEPING) {
+                piece.restTime += delta;
+                if (piece.restTime >= this.settleTime) {
+                    this.freeze(piece);
+                }
+                return;
+            }
+
+            piece.restTime = 0;
+            piece.mesh.position.copy(body.position);
+            piece.mesh.quaternion.copy(body.quaternion);
+
+            if (this.time - piece.spawnTime > this.maxAge) {
+                this.removePiece(piece);
+            }
+        });
+
+        if (this.rubbleMaxAge !== Infinity) {
+            this.rubble
+                .filter((piece) => this.time - piece.spawnTime > this.rubbleMaxAge)
+                .forEach((piece) => this.removePiece(piece));
+        }
+    }
+
+    /**
+     * Convertir un pedazo en escombro estático: sin cuerpo, mesh fijo
+     */
+    freeze(piece) {
+        if (piece.frozen) return;
+
+        piece.mesh.position.copy(piece.body.position);
+        piece.mesh.quaternion.copy(piece.body.quaternion);
+        piece.mesh.updateMatrix();
+        piece.mesh.matrixAutoUpdate = false;
+
+        this.physicsWorld.removeBody(piece.body);
+        piece.body = null;
+        piece.frozen = true;
+
+        removeFromArray(this.live, piece);
+        this.rubble.push(piece);
+    }
+
+    /**
+     * Eliminar un pedazo por completo (mesh y cuerpo)
+     */
+    removePiece(piece) {
+        this.scene.remove(piece.mesh);
+        if (piece.body) {
+            this.physicsWorld.removeBody(piece.body);
+            piece.body = null;
+        }
+
+        removeFromArray(piece.frozen ? this.rubble : this.live, piece);
+        removeFromArray(this.getPieces(piece.owner), piece);
+    }
+
+    /**
+     * Eliminar todos los pedazos de un edificio
+     */
+    removeOwner(owner) {
+        this.getPieces(owner).slice().forEach((piece) => this.removePiece(piece));
+        this.byOwner.delete(owner);
+    }
+
+    removeAll() {
+        Array.from(this.byOwner.keys()).forEach((owner) => this.removeOwner(owner));
+    }
+}
+
+function removeFromArray(array, item) {
+    const index = array.indexOf(item);
+    if (index > -1) {
+        array.splice(index, 1);
+    }
+}
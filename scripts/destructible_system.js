@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { getBodyState, setBodyState } from './body_state.js';
+import { SimulationEventBus } from './simulation_events.js';
 
 /**
  * DestructibleSystem - Sistema para edificios destructibles
@@ -12,10 +14,15 @@ import * as THREE from 'three';
  * destructible.addDestructible('edificio_1', intactModel, brokenModel, position);
  */
 export class DestructibleSystem {
-    constructor(modelLoader, physicsWorld) {
+    /**
+     * @param {object} options
+     *   - events: SimulationEventBus - Publica destructibleDestroyed y destructibleRepaired (default: uno propio)
+     */
+    constructor(modelLoader, physicsWorld, options = {}) {
         this.modelLoader = modelLoader;
         this.physicsWorld = physicsWorld;
-        this.destructibles = {}; // { id: { intacto, roto, estado, modelData } }
+        this.events = options.events || new SimulationEventBus();
+        this.destructibles = {}; // { id: { intactData, brokenData, state, position, brokenState } }
     }
 
     /**
@@ -59,7 +66,8 @@ export class DestructibleSystem {
             intactData: intactData,
             brokenData: brokenData,
             state: 'intact', // 'intact' o 'destroyed'
-            position: position
+            position: position,
+            brokenState: getBodyState(brokenData.physics) // Física del modelo roto antes de caer
         };
 
     }
@@ -86,7 +94,7 @@ export class DestructibleSystem {
         
         // Cambiar estado
         destructible.state = 'destroyed';
-        
+        this.events.emit('destructibleDestroyed', { id });
     }
 
     /**
@@ -102,12 +110,16 @@ export class DestructibleSystem {
         // Mostrar modelo intacto
         destructible.intactData.visual.visible = true;
         
-        // Ocultar modelo roto
-        destructible.brokenData.visual.visible = false;
+        // Ocultar modelo roto y devolver su cuerpo a la posición inicial, quieto
+        const { brokenData } = destructible;
+        brokenData.visual.visible = false;
+        setBodyState(brokenData.physics, destructible.brokenState);
+        brokenData.visual.position.copy(brokenData.physics.position);
+        brokenData.visual.quaternion.copy(brokenData.physics.quaternion);
         
         // Cambiar estado
         destructible.state = 'intact';
-        
+        this.events.emit('destructibleRepaired', { id });
     }
 
     /**
@@ -0,0 +1,32 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * DiskAssetSource - Lee los GLB desde el disco (solo Node, sin navegador)
+ *
+ * Las rutas del manifiesto ('./assets/Casa.glb') se resuelven desde rootDir.
+ * Los GLTF con .bin o texturas externas no están soportados: usar GLB.
+ *
+ * Uso:
+ * const simulation = new Simulation({ assetSource: new DiskAssetSource(process.cwd()) });
+ */
+export class DiskAssetSource {
+    /**
+     * @param {string} rootDir - Carpeta desde la que se resuelven las rutas (raíz del proyecto)
+     */
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+    }
+
+    /**
+     * @param {string} assetPath - Ruta como en el navegador
+     * @param {function} onProgress - (loaded, total) en bytes
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async load(assetPath, onProgress = null) {
+        const file = await readFile(path.resolve(this.rootDir, assetPath));
+        if (onProgress) onProgress(file.byteLength, file.byteLength);
+
+        return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Escala Fujita Mejorada (EF0 - EF5)
+ *
+ * La intensidad del tornado es un número continuo entre 0 y 5:
+ * la parte entera es el rating EF y la parte decimal interpola la
+ * velocidad del viento dentro del rango de ese rating.
+ *
+ * Uso:
+ * windSpeedForIntensity(2.5); // ~198 km/h
+ * ratingForWindSpeed(250);    // 'EF3'
+ */
+export const EF_SCALE = [
+    { rating: 'EF0', minKmh: 105, maxKmh: 137 },
+    { rating: 'EF1', minKmh: 138, maxKmh: 178 },
+    { rating: 'EF2', minKmh: 179, maxKmh: 218 },
+    { rating: 'EF3', minKmh: 219, maxKmh: 266 },
+    { rating: 'EF4', minKmh: 267, maxKmh: 322 },
+    { rating: 'EF5', minKmh: 323, maxKmh: 420 }
+];
+
+export const MAX_INTENSITY = EF_SCALE.length - 1;
+
+/**
+ * Nivel EF (entrada de EF_SCALE) correspondiente a una intensidad continua
+ */
+export function levelForIntensity(intensity) {
+    const index = Math.min(Math.max(Math.floor(intensity), 0), MAX_INTENSITY);
+    return EF_SCALE[index];
+}
+
+/**
+ * Velocidad pico del viento (km/h) para una intensidad continua
+ */
+export function windSpeedForIntensity(intensity) {
+    const clamped = Math.min(Math.max(intensity, 0), EF_SCALE.length - 0.001);
+    const level = levelForIntensity(clamped);
+    const fraction = clamped - Math.floor(clamped);
+    return level.minKmh + (level.maxKmh - level.minKmh) * fraction;
+}
+
+/**
+ * Rating EF para una velocidad de viento en km/h
+ */
+export function ratingForWindSpeed(kmh) {
+    for (let i = EF_SCALE.length - 1; i >= 0; i--) {
+        if (kmh >= EF_SCALE[i].minKmh) return EF_SCALE[i].rating;
+    }
+    return 'Sub-EF0';
+}
+
+/**
+ * Convertir km/h a unidades de simulación por segundo (1 unidad = 1 m)
+ */
+export function kmhToMs(kmh) {
+    return kmh / 3.6;
+}
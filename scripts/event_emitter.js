@@ -0,0 +1,53 @@
+/**
+ * EventEmitter - Emisor de eventos mínimo
+ *
+ * Uso:
+ * class Algo extends EventEmitter { ... this.emit('cambio', { valor }); }
+ * const off = algo.on('cambio', (payload) => { ... });
+ * off(); // dejar de escuchar
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    /**
+     * Suscribirse a un evento. Devuelve una función para desuscribirse.
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Suscribirse solo a la próxima emisión del evento
+     */
+    once(event, callback) {
+        const off = this.on(event, (payload) => {
+            off();
+            callback(payload);
+        });
+        return off;
+    }
+
+    off(event, callback) {
+        const callbacks = this.listeners[event];
+        if (!callbacks) return;
+
+        const index = callbacks.indexOf(callback);
+        if (index > -1) {
+            callbacks.splice(index, 1);
+        }
+    }
+
+    emit(event, payload) {
+        const callbacks = this.listeners[event];
+        if (!callbacks) return;
+
+        // Copia para tolerar suscripciones/desuscripciones durante la emisión
+        callbacks.slice().forEach((callback) => callback(payload));
+    }
+}
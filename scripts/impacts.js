@@ -0,0 +1,37 @@
+/**
+ * Impactos - Fuerza de los choques entre cuerpos (escombros, objetos, edificios)
+ *
+ * cannon avisa el primer contacto de cada par de cuerpos con el evento
+ * 'collide', antes de resolverlo: la velocidad todavía es la del choque. El
+ * impulso se estima como la masa efectiva del par por la velocidad de
+ * acercamiento a lo largo de la normal (contra algo fijo, masa × velocidad).
+ *
+ * El evento llega en medio de world.step: no se deben agregar ni quitar
+ * cuerpos ahí, así que los sistemas guardan los choques y los aplican después.
+ *
+ * Uso:
+ * const off = watchImpacts(body, ({ impulse, other }) => impacts.push(impulse));
+ * off(); // Dejar de escuchar
+ */
+
+/**
+ * Impulso (N·s) de un contacto recién creado
+ * @param {CANNON.ContactEquation} contact
+ */
+export function getImpactImpulse(contact) {
+    const inverseMass = contact.bi.invMass + contact.bj.invMass;
+    if (inverseMass === 0) return 0;
+    return Math.abs(contact.getImpactVelocityAlongNormal()) / inverseMass;
+}
+
+/**
+ * Escuchar los choques de un cuerpo
+ * @param {CANNON.Body} body
+ * @param {function} callback - callback({ impulse, other }) - other es el cuerpo contra el que chocó
+ * @returns {function} Quita el listener
+ */
+export function watchImpacts(body, callback) {
+    const listener = (event) => callback({ impulse: getImpactImpulse(event.contact), other: event.body });
+    body.addEventListener('collide', listener);
+    return () => body.removeEventListener('collide', listener);
+}
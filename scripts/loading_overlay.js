@@ -0,0 +1,98 @@
+/**
+ * LoadingOverlay - Pantalla de carga conectada a un LoadingTracker
+ *
+ * Muestra la cantidad de assets y los bytes descargados. Si algún asset falla,
+ * lo lista con su ruta y el motivo; después de ocultarse, los fallos nuevos
+ * se muestran como un aviso temporal.
+ *
+ * Uso:
+ * const overlay = new LoadingOverlay(modelLoader.tracker);
+ * Promise.allSettled(cargas).then(() => overlay.finish()).then(() => iniciar());
+ */
+export class LoadingOverlay {
+    /**
+     * @param {LoadingTracker} tracker
+     * @param {HTMLElement} element - Contenedor (default: #loading-overlay de index.html)
+     */
+    constructor(tracker, element = document.getElementById('loading-overlay')) {
+        this.tracker = tracker;
+        this.element = element;
+        this.fill = element.querySelector('.loading-bar-fill');
+        this.status = element.querySelector('.loading-status');
+        this.failureList = element.querySelector('.loading-failures');
+        this.continueButton = element.querySelector('.loading-continue');
+        this.visible = true;
+
+        this.unsubscribe = [
+            tracker.on('progress', (state) => this.render(state)),
+            tracker.on('failed', (failure) => {
+                if (!this.visible) this.notifyFailure(failure);
+            })
+        ];
+
+        this.render(tracker.getState());
+    }
+
+    render(state) {
+        const { totalAssets, loadedAssets, loadedBytes, totalBytes, failures } = state;
+        const done = loadedAssets + failures.length;
+        const ratio = totalBytes > 0 ? loadedBytes / totalBytes : (totalAssets > 0 ? done / totalAssets : 0);
+
+        this.fill.style.width = `${Math.round(Math.min(ratio, 1) * 100)}%`;
+        this.status.textContent =
+            `${done} / ${totalAssets} assets · ${formatBytes(loadedBytes)} / ${formatBytes(totalBytes)}`;
+
+        this.failureList.replaceChildren(...failures.map(({ path, reason }) => {
+            const item = document.createElement('li');
+            item.textContent = `✗ ${path}: ${reason}`;
+            return item;
+        }));
+    }
+
+    /**
+     * Terminar la carga: se oculta enseguida si todo cargó; si hubo fallos,
+     * espera a que el usuario pulse "Continuar"
+     * @returns {Promise} Se resuelve cuando la pantalla se oculta
+     */
+    finish() {
+        const { failures } = this.tracker.getState();
+        if (failures.length === 0) {
+            this.hide();
+            return Promise.resolve();
+        }
+
+        this.continueButton.classList.add('visible');
+        return new Promise((resolve) => {
+            this.continueButton.addEventListener('click', () => {
+                this.hide();
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.classList.add('hidden');
+    }
+
+    /**
+     * Aviso temporal de un asset que no se pudo cargar
+     */
+    notifyFailure({ path, reason }) {
+        const toast = document.createElement('div');
+        toast.className = 'loading-toast';
+        toast.textContent = `No se pudo cargar ${path}: ${reason}`;
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 6000);
+    }
+
+    destroy() {
+        this.unsubscribe.forEach((off) => off());
+        this.element.remove();
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,96 @@
+import { EventEmitter } from './event_emitter.js';
+
+/**
+ * LoadingTracker - Progreso agregado de todas las cargas de assets
+ *
+ * ModelLoader le informa de cada archivo (inicio, bytes, fin o error);
+ * el tracker suma bytes y cantidades de todas las cargas en curso.
+ *
+ * Eventos:
+ * - 'progress': getState()
+ * - 'failed': { path, reason }
+ * - 'idle': getState() - No queda ninguna carga pendiente
+ *
+ * Uso:
+ * loader.tracker.on('progress', ({ loadedAssets, totalAssets, loadedBytes, totalBytes }) => { ... });
+ */
+export class LoadingTracker extends EventEmitter {
+    constructor() {
+        super();
+        this.assets = new Map(); // { ruta: { path, loaded, total, status, reason } }
+    }
+
+    /**
+     * Registrar el inicio de la descarga de un asset
+     */
+    start(path) {
+        this.assets.set(path, { path, loaded: 0, total: 0, status: 'loading', reason: null });
+        this.emit('progress', this.getState());
+    }
+
+    /**
+     * Bytes descargados de un asset (total = 0 si el servidor no lo informa)
+     */
+    progress(path, loaded, total) {
+        const asset = this.assets.get(path);
+        if (!asset) return;
+
+        asset.loaded = loaded;
+        asset.total = total || 0;
+        this.emit('progress', this.getState());
+    }
+
+    complete(path) {
+        const asset = this.assets.get(path);
+        if (!asset) return;
+
+        asset.status = 'loaded';
+        asset.total = Math.max(asset.total, asset.loaded);
+        asset.loaded = asset.total;
+        this.emit('progress', this.getState());
+        this.checkIdle();
+    }
+
+    /**
+     * Registrar un asset que no se pudo cargar (también si falló después de descargarse)
+     */
+    fail(path, error) {
+        const asset = this.assets.get(path) || { path, loaded: 0, total: 0 };
+        asset.status = 'failed';
+        asset.reason = error?.message || String(error);
+        this.assets.set(path, asset);
+
+        this.emit('failed', { path, reason: asset.reason });
+        this.emit('progress', this.getState());
+        this.checkIdle();
+    }
+
+    get pending() {
+        return Array.from(this.assets.values()).filter((asset) => asset.status === 'loading').length;
+    }
+
+    /**
+     * Resumen de todas las cargas
+     */
+    getState() {
+        const assets = Array.from(this.assets.values());
+        const sum = (key) => assets.reduce((total, asset) => total + asset[key], 0);
+
+        return {
+            totalAssets: assets.length,
+            loadedAssets: assets.filter((asset) => asset.status === 'loaded').length,
+            pendingAssets: assets.filter((asset) => asset.status === 'loading').length,
+            loadedBytes: sum('loaded'),
+            totalBytes: Math.max(sum('total'), sum('loaded')),
+            failures: assets
+                .filter((asset) => asset.status === 'failed')
+                .map(({ path, reason }) => ({ path, reason }))
+        };
+    }
+
+    checkIdle() {
+        if (this.pending === 0) {
+            this.emit('idle', this.getState());
+        }
+    }
+}
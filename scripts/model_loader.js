@@ -1,21 +1,59 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { applyAerodynamicForces, createAeroProfile } from './aerodynamics.js';
+import { addColliderShapes } from './colliders.js';
+import { LoadingTracker } from './loading_tracker.js';
+import { SimulationEventBus } from './simulation_events.js';
+
+/**
+ * Caché de modelos parseados para compartir entre varios ModelLoader
+ * (los modelos nunca se modifican: cada carga usa una copia)
+ */
+export function createTemplateCache() {
+    return { promises: new Map(), templates: new Map() };
+}
 
 /**
  * ModelLoader - Carga modelos 3D con física automática
  * 
+ * Cada archivo se descarga y se parsea una vez; las siguientes cargas
+ * devuelven copias que comparten geometrías y materiales. Varios loaders
+ * pueden compartir esa caché (createTemplateCache), p. ej. las corridas de
+ * un experimento por lotes.
+ *
+ * Los archivos se descargan con GLTFLoader (navegador) o, si se indica
+ * options.assetSource, se leen de ahí (p. ej. DiskAssetSource en Node).
+ *
  * Uso:
  * const loader = new ModelLoader(scene, physicsWorld);
+ * await loader.preload(['path/to/model.glb']);
  * loader.load('path/to/model.glb', { mass: 10, position: [0, 5, 0] });
  */
 export class ModelLoader {
-    constructor(scene, physicsWorld, material = null) {
+    /**
+     * @param {object} options
+     *   - assetSource: { load(path, onProgress) => Promise<ArrayBuffer> } (default: descargar con GLTFLoader)
+     *   - tracker: LoadingTracker (default: uno propio)
+     *   - events: SimulationEventBus - Publica assetLoadFailed (default: uno propio)
+     *   - templateCache: de createTemplateCache() - Modelos ya parseados, compartidos con
+     *     otros loaders (default: una propia). Un asset que empezó a cargar otro loader no
+     *     pasa por el tracker ni publica assetLoadFailed en este.
+     */
+    constructor(scene, physicsWorld, material = null, options = {}) {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
         this.gltfLoader = new GLTFLoader();
-        this.physicsMaterial = material || new CANNON.Material('model');
+        this.assetSource = options.assetSource || null;
+        // Si se indica un material se comparte; si no, cada cuerpo usa su friction/restitution
+        this.physicsMaterial = material;
         this.loadedModels = [];
+        const templateCache = options.templateCache || createTemplateCache();
+        this.cache = templateCache.promises; // { ruta: Promise<escena del GLTF> }
+        this.templates = templateCache.templates; // { ruta: escena del GLTF } - Los que ya terminaron de cargar
+        // Progreso agregado (bytes y cantidad) de todas las cargas
+        this.tracker = options.tracker || new LoadingTracker();
+        this.events = options.events || new SimulationEventBus();
     }
 
     /**
@@ -27,99 +65,203 @@ export class ModelLoader {
      *   - scale: número (default: 1) - Escala del modelo
      *   - friction: número (default: 0.3)
      *   - restitution: número (default: 0.3) - Rebote
+     *   - dragCoefficient: número (default: 1.05) - Coeficiente de arrastre
+     *   - liftCoefficient: número (default: 0.4) - Coeficiente de sustentación
+     *   - collider: 'box' | 'sphere' | 'cylinder' | 'convexHull' | 'compound' | 'trimesh' | 'heightfield'
+     *     (default: 'box') - Forma física generada desde la geometría (trimesh y heightfield solo con mass: 0)
+     *   - heightfieldElementSize: número (default: 1) - Separación en metros de la malla de alturas
      *   - onLoad: función - Callback cuando carga
      */
     load(path, options = {}) {
+        return this.loadTemplate(path).then((template) => this.instantiate(path, template, options));
+    }
+
+    /**
+     * Igual que load(), pero sin esperar: solo para assets que ya están en caché.
+     * Cargar en el mismo paso de simulación en que se pide (y no cuando se resuelva
+     * una promesa) hace que el orden de los cuerpos no dependa de los FPS.
+     * @returns {object|null} modelData, o null si el asset todavía no se cargó
+     */
+    loadCached(path, options = {}) {
+        const template = this.templates.get(path);
+        return template ? this.instantiate(path, template, options) : null;
+    }
+
+    /**
+     * Agregar a la escena una copia de un modelo ya cargado, con su cuerpo físico
+     */
+    instantiate(path, template, options) {
         const {
             mass = 1,
             position = [0, 0, 0],
             scale = 1,
             friction = 0.3,
             restitution = 0.3,
+            dragCoefficient = 1.05,
+            liftCoefficient = 0.4,
+            collider = 'box',
+            heightfieldElementSize = 1,
             onLoad = null
         } = options;
 
-        return new Promise((resolve, reject) => {
-            this.gltfLoader.load(
-                path,
+        // Copia del modelo en caché: geometrías y materiales compartidos
+        const model = template.clone(true);
+
+        // Aplicar escala
+        model.scale.set(scale, scale, scale);
+
+        // Aplicar posición
+        model.position.set(...position);
+
+        // Agregar el modelo a la escena
+        this.scene.add(model);
+
+        // Configurar sombras
+        model.traverse((child) => {
+            if (child instanceof THREE.Mesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+
+        // Crear cuerpo físico
+        let physicsBody;
+        try {
+            physicsBody = this.createPhysicsBody(
+                model,
+                mass,
+                friction,
+                restitution,
+                collider,
+                heightfieldElementSize
+            );
+        } catch (error) {
+            this.scene.remove(model);
+            this.tracker.fail(path, error);
+            this.events.emit('assetLoadFailed', { path, error });
+            throw error;
+        }
+
+        this.physicsWorld.addBody(physicsBody);
+
+        // Guardar referencia
+        const bbox = new THREE.Box3().setFromObject(model);
+        const modelData = {
+            visual: model,
+            physics: physicsBody,
+            path: path,
+            // Perfil aerodinámico a partir de la caja que envuelve el modelo; su centro,
+            // en el marco del cuerpo (como el casco de addColliderShapes), no siempre es el origen
+            aero: createAeroProfile(bbox.getSize(new THREE.Vector3()).multiplyScalar(0.5), {
+                dragCoefficient,
+                liftCoefficient,
+                center: bbox.getCenter(new THREE.Vector3()).sub(model.position)
+            })
+        };
+        this.loadedModels.push(modelData);
+
+        // Callback
+        if (onLoad) onLoad(modelData);
+
+        return modelData;
+    }
+
+    /**
+     * Modelo original de un asset (se descarga y se parsea una sola vez)
+     * @param {string} path - Ruta al archivo GLB/GLTF
+     * @returns {Promise<THREE.Group>} Escena del GLTF; no modificar, usar clone()
+     */
+    loadTemplate(path) {
+        if (!this.cache.has(path)) {
+            this.tracker.start(path);
+
+            const onProgress = (loaded, total) => this.tracker.progress(path, loaded, total);
+            const promise = this.fetchGLTF(path, onProgress).then(
                 (gltf) => {
-                    const model = gltf.scene;
-                    
-                    // Aplicar escala
-                    model.scale.set(scale, scale, scale);
-                    
-                    // Aplicar posición
-                    model.position.set(...position);
-                    
-                    // Agregar el modelo a la escena
-                    this.scene.add(model);
-
-                    // Configurar sombras
-                    model.traverse((child) => {
-                        if (child instanceof THREE.Mesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-                        }
-                    });
-
-                    // Crear cuerpo físico
-                    const physicsBody = this.createPhysicsBody(
-                        model,
-                        mass,
-                        friction,
-                        restitution
-                    );
-
-                    if (physicsBody) {
-                        this.physicsWorld.addBody(physicsBody);
-
-                        // Guardar referencia
-                        const modelData = {
-                            visual: model,
-                            physics: physicsBody,
-                            path: path
-                        };
-                        this.loadedModels.push(modelData);
-
-                        // Callback
-                        if (onLoad) onLoad(modelData);
-                        
-                        resolve(modelData);
-                    }
-                },
-                (xhr) => {
-                    // Progreso de carga
-                    const progress = (xhr.loaded / xhr.total * 100);
+                    this.tracker.complete(path);
+                    this.templates.set(path, gltf.scene);
+                    return gltf.scene;
                 },
                 (error) => {
-                    reject(error);
+                    this.tracker.fail(path, error);
+                    this.events.emit('assetLoadFailed', { path, error });
+                    throw error;
                 }
             );
-        });
+
+            // Si falla, olvidarlo para poder reintentar
+            promise.catch(() => this.cache.delete(path));
+            this.cache.set(path, promise);
+        }
+
+        return this.cache.get(path);
     }
 
     /**
-     * Crea automáticamente un cuerpo físico desde la geometría del modelo
+     * Descargar (o leer del assetSource) y parsear un GLB/GLTF
+     * @param {function} onProgress - (loaded, total) en bytes; total = 0 si no se conoce
+     * @returns {Promise<object>} gltf
      */
-    createPhysicsBody(model, mass, friction, restitution) {
-        // Obtener bounding box del modelo
-        const bbox = new THREE.Box3().setFromObject(model);
-        const size = bbox.getSize(new THREE.Vector3());
+    fetchGLTF(path, onProgress) {
+        if (this.assetSource) {
+            const resourcePath = path.slice(0, path.lastIndexOf('/') + 1);
+            return this.assetSource.load(path, onProgress)
+                .then((data) => this.gltfLoader.parseAsync(data, resourcePath));
+        }
 
-        // Crear forma de caja simple (aproximada)
-        const shape = new CANNON.Box(
-            new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)
-        );
+        return new Promise((resolve, reject) => {
+            this.gltfLoader.load(
+                path,
+                resolve,
+                (xhr) => onProgress(xhr.loaded, xhr.lengthComputable ? xhr.total : 0),
+                reject
+            );
+        });
+    }
+
+    /**
+     * Descargar y parsear assets por adelantado (sin agregarlos a la escena)
+     * @param {string[]} paths
+     * @returns {Promise} Se resuelve cuando todos están en caché; si alguno falla,
+     *   se rechaza con el primer error después de que terminen los demás
+     */
+    preload(paths) {
+        const loads = Array.from(new Set(paths)).map((path) => this.loadTemplate(path));
+        return Promise.allSettled(loads).then((results) => {
+            const failed = results.find((result) => result.status === 'rejected');
+            if (failed) throw failed.reason;
+        });
+    }
 
+    /**
+     * Crea automáticamente un cuerpo físico desde la geometría del modelo
+     * @param {string} collider - Tipo de forma (ver colliders.js)
+     * @param {number} elementSize - Separación de la malla de alturas (collider 'heightfield')
+     */
+    createPhysicsBody(model, mass, friction, restitution, collider = 'box', elementSize = 1) {
         // Crear material y cuerpo físico
         const body = new CANNON.Body({
             mass: mass,
-            shape: shape,
-            material: this.physicsMaterial,
+            material: this.physicsMaterial || new CANNON.Material({ friction, restitution }),
             linearDamping: 0.02,
             angularDamping: 0.3
         });
 
+        if (collider === 'box') {
+            // Caja simple (aproximada) centrada en el origen del modelo
+            const bbox = new THREE.Box3().setFromObject(model);
+            const size = bbox.getSize(new THREE.Vector3());
+            body.addShape(new CANNON.Box(
+                new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)
+            ));
+        } else {
+            addColliderShapes(body, model, collider, {
+                position: model.position,
+                quaternion: model.quaternion,
+                elementSize
+            });
+        }
+
         // Establecer posición inicial
         body.position.set(
             model.position.x,
@@ -190,38 +332,16 @@ export class ModelLoader {
     }
 
     /**
-     * Aplica fuerzas del tornado a todos los modelos cargados
+     * Aplica arrastre y sustentación del viento del tornado a todos los modelos cargados
      * (Llamar desde el loop de animación)
+     * @param {Tornado|TornadoManager} tornado - Cualquier objeto con sampleWind()
+     * @param {number} delta - Duración del paso de física
      */
-    applyTornadoForces(tornado) {
+    applyTornadoForces(tornado, delta = 1 / 60) {
         this.loadedModels.forEach(modelData => {
             if (modelData.physics.mass > 0) { // Solo afectar objetos dinámicos
-                const tornadoResult = tornado.calculateForceOnObject(
-                    modelData.physics.position.clone(),
-                    modelData.physics.mass
-                );
-
-                if (tornadoResult.force.x !== 0 || tornadoResult.force.y !== 0 || tornadoResult.force.z !== 0) {
-                    // Aplicar lift en el centro
-                    const lift = new CANNON.Vec3(0, tornadoResult.force.y, 0);
-                    if (lift.y !== 0) {
-                        modelData.physics.applyForce(lift, modelData.physics.position);
-                    }
-
-                    // Aplicar componentes horizontales con offset para generar torque
-                    const horizontal = new CANNON.Vec3(tornadoResult.force.x, 0, tornadoResult.force.z);
-                    if (horizontal.x !== 0 || horizontal.z !== 0) {
-                        const offsetPoint = modelData.physics.position.vadd(new CANNON.Vec3(0, 0.8, 0));
-                        modelData.physics.applyForce(horizontal, offsetPoint);
-                    }
-
-                    // Aplicar torque directo
-                    modelData.physics.torque.x += tornadoResult.torque.x || 0;
-                    modelData.physics.torque.y += tornadoResult.torque.y || 0;
-                    modelData.physics.torque.z += tornadoResult.torque.z || 0;
-                }
+                applyAerodynamicForces(modelData.physics, modelData.aero, tornado, { dt: delta });
             }
         });
     }
 }
-
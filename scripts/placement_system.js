@@ -1,222 +1,278 @@
-import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { getBodyState, setBodyState } from './body_state.js';
+import { SimulationEventBus } from './simulation_events.js';
+import { DebrisManager } from './debris_manager.js';
+import { watchImpacts } from './impacts.js';
+
+// Velocidad de choque contra algo fijo que rompe un objeto sin impactResistance propia
+const DEFAULT_BREAK_SPEED = 15;
 
 /**
- * PlacementSystem - Sistema para colocar objetos con click derecho
+ * PlacementSystem - Sistema para colocar objetos (coches, postes...) con física
  * 
+ * No toca el DOM: el click derecho y su menú están en PlacementUI.
+ *
+ * Un objeto intacto que recibe un golpe por encima de su impactResistance
+ * (un escombro, otro objeto, una pared o el suelo tras volar) se rompe en
+ * pedazos que pasan al DebrisManager.
+ *
  * Uso:
- * const placer = new PlacementSystem(scene, camera, renderer, modelLoader);
+ * const placer = new PlacementSystem(scene, modelLoader, physicsWorld);
  * placer.addAsset('coche', './assets/coche.glb', { mass: 5 });
  * placer.addAsset('poste', './assets/poste.glb', { mass: 10 });
+ * placer.placeAssetAt('coche', [5, 3, 10]);
  */
 export class PlacementSystem {
-    constructor(scene, camera, renderer, modelLoader, physicsWorld) {
+    /**
+     * @param {object} options
+     *   - events: SimulationEventBus - Publica propPlaced y propBroken (default: uno propio)
+     *   - debrisManager: DebrisManager - Gestor de escombros compartido (default: uno propio)
+     */
+    constructor(scene, modelLoader, physicsWorld, options = {}) {
         this.scene = scene;
-        this.camera = camera;
-        this.renderer = renderer;
         this.modelLoader = modelLoader;
         this.physicsWorld = physicsWorld;
+        this.events = options.events || new SimulationEventBus();
+        this.debris = options.debrisManager || new DebrisManager(scene, physicsWorld);
         
         this.assets = {}; // { nombre: { ruta, opciones } }
-        this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2();
-        this.contextMenu = null;
-        this.selectedObject = null;
-        
-        this.setupEventListeners();
+        this.placedObjects = []; // [{ id, name, modelData, initialState, broken, stopImpacts }] - Objetos colocados en la escena
+        this.nextObjectNumber = 1;
+
+        // Choques del último paso de física (se aplican en update, fuera de world.step)
+        this.impacts = [];
     }
 
     /**
      * Agregar un asset a la lista disponible
      * @param {string} name - Nombre del asset
      * @param {string} path - Ruta al archivo
-     * @param {object} options - Opciones físicas { mass, friction, restitution }
+     * @param {object} options - Opciones físicas { mass, friction, restitution, dragCoefficient, liftCoefficient }
+     *   - impactResistance: número - Impulso (N·s) de un golpe a partir del cual se rompe
+     *     (default: masa × 15, un choque contra algo fijo a 15 m/s)
      */
     addAsset(name, path, options = {}) {
+        const { impactResistance, ...physics } = options;
+        const assetOptions = {
+            mass: physics.mass || 2,           // Masa por defecto: 2
+            friction: physics.friction || 0.5,
+            restitution: physics.restitution || 0.3,
+            ...physics
+        };
+
         this.assets[name] = { 
             path: path,
-            options: {
-                mass: options.mass || 2,           // Masa por defecto: 2
-                friction: options.friction || 0.5,
-                restitution: options.restitution || 0.3,
-                ...options
-            }
+            options: assetOptions,
+            impactResistance: impactResistance ?? assetOptions.mass * DEFAULT_BREAK_SPEED,
+            // Material compartido por los pedazos de este tipo
+            debrisMaterial: new CANNON.Material({
+                friction: assetOptions.friction,
+                restitution: assetOptions.restitution
+            })
         };
     }
 
     /**
-     * Configurar listeners para mouse
+     * Rutas de todos los assets registrados (para precargarlos)
      */
-    setupEventListeners() {
-        // Click derecho (context menu)
-        document.addEventListener('contextmenu', (event) => {
-            event.preventDefault();
-            this.onRightClick(event);
-        }, { passive: false });
-
-        // Cerrar menú al click izquierdo FUERA del menú
-        document.addEventListener('click', (event) => {
-            // Si el click NO está en el menú, cerrarlo
-            if (this.contextMenu && !this.contextMenu.contains(event.target)) {
-                this.closeContextMenu();
+    getAssetPaths() {
+        return Object.values(this.assets).map((asset) => asset.path);
+    }
+
+    /**
+     * Colocar un asset en una posición concreta
+     * @param {string} assetName - Nombre del asset registrado
+     * @param {array} position - [x, y, z]
+     * @returns {Promise} modelData del objeto colocado
+     */
+    placeAssetAt(assetName, position) {
+        if (!this.assets[assetName]) {
+            return Promise.reject(new Error(`Asset no encontrado: ${assetName}`));
+        }
+
+        const assetData = this.assets[assetName];
+
+        // Cargar modelo en la posición
+        return this.modelLoader.load(assetData.path, {
+            ...assetData.options,
+            position: position,
+            scale: 1,
+            onLoad: (modelData) => {
+                const placed = {
+                    id: `${assetName}_${this.nextObjectNumber++}`,
+                    name: assetName,
+                    modelData,
+                    initialState: getBodyState(modelData.physics), // Estado al colocarlo, para resetPlaced()
+                    broken: false,
+                    stopImpacts: null // Quita el listener de golpes del cuerpo actual
+                };
+                this.placedObjects.push(placed);
+                this.watchObjectImpacts(placed);
+                this.events.emit('propPlaced', { name: assetName, position: position.slice(), modelData });
+                console.log(` ${assetName} colocado exitosamente en:`, position);
             }
-        }, { passive: true });
+        });
+    }
 
-        // Detectar objetos bajo el ratón
-        document.addEventListener('mousemove', (event) => {
-            this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        }, { passive: true });
+    /**
+     * Guardar los golpes que superan la resistencia del objeto
+     */
+    watchObjectImpacts(placed) {
+        const { impactResistance } = this.assets[placed.name];
+        placed.stopImpacts = watchImpacts(placed.modelData.physics, ({ impulse }) => {
+            if (impulse > impactResistance) {
+                this.impacts.push({ placed, impulse });
+            }
+        });
     }
 
     /**
-     * Manejar click derecho
+     * Romper los objetos golpeados en el último paso de física
      */
-    onRightClick(event) {
-        // Actualizar raycaster
-        this.raycaster.setFromCamera(this.mouse, this.camera);
+    update() {
+        const impacts = this.impacts;
+        this.impacts = [];
+        impacts.forEach(({ placed, impulse }) => this.breakObject(placed, impulse));
+    }
 
-        // Buscar intersecciones con modelos
-        const loadedModels = this.modelLoader.getAllModels();
-        const meshes = loadedModels.map(m => m.visual).filter(v => v);
-        
-        // También incluir meshes del objeto visual
-        const allMeshes = [];
-        meshes.forEach(mesh => {
-            mesh.traverse(child => {
-                if (child instanceof THREE.Mesh) {
-                    allMeshes.push(child);
-                }
-            });
+    /**
+     * Separar un objeto en pedazos con física (uno por mesh del modelo),
+     * con la velocidad que llevaba
+     * @param {object} placed - Elemento de placedObjects
+     * @param {number} impulse - Impulso del golpe (solo informativo)
+     */
+    breakObject(placed, impulse = 0) {
+        const { modelData } = placed;
+        if (placed.broken || !this.modelLoader.loadedModels.includes(modelData)) return;
+
+        const asset = this.assets[placed.name];
+        const velocity = modelData.physics.velocity.clone();
+        const position = modelData.physics.position.toArray();
+
+        modelData.visual.updateMatrixWorld(true);
+        const meshes = [];
+        modelData.visual.traverse((child) => {
+            if (child.isMesh) meshes.push(child);
         });
 
+        meshes.forEach((child, index) => {
+            const piece = this.debris.addFromMesh(child, {
+                mass: asset.options.mass / meshes.length,
+                material: asset.debrisMaterial,
+                dragCoefficient: asset.options.dragCoefficient,
+                liftCoefficient: asset.options.liftCoefficient,
+                velocity
+            }, placed.id);
+            piece.index = index;
+            piece.source = { path: modelData.path, meshIndex: index };
+        });
 
-        const intersects = this.raycaster.intersectObjects(allMeshes, true);
+        // Sin piezas: quitar el grupo vacío y su cuerpo
+        placed.stopImpacts();
+        this.modelLoader.remove(modelData);
+        placed.broken = true;
 
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            this.selectedObject = intersection.point;
-            this.showContextMenu(event.clientX, event.clientY);
-        } else {
-            console.warn('⚠️ No se detectó colisión con objetos');
-        }
+        this.events.emit('propBroken', {
+            id: placed.id,
+            name: placed.name,
+            position,
+            impulse,
+            count: meshes.length
+        });
     }
 
     /**
-     * Mostrar menú contextual
+     * Quitar todos los objetos colocados
      */
-    showContextMenu(x, y) {
-        // Eliminar menú anterior si existe
-        this.closeContextMenu();
-
-        // Crear menú
-        this.contextMenu = document.createElement('div');
-        this.contextMenu.id = 'context-menu';
-        this.contextMenu.style.cssText = `
-            position: fixed;
-            top: ${y}px;
-            left: ${x}px;
-            background: rgba(30, 30, 30, 0.95);
-            border: 2px solid #00ccff;
-            border-radius: 8px;
-            padding: 8px 0;
-            z-index: 10000;
-            box-shadow: 0 8px 16px rgba(0, 0, 0, 0.5);
-            font-family: Arial, sans-serif;
-            min-width: 150px;
-        `;
-
-        // Agregar opciones de assets
-        Object.entries(this.assets).forEach(([name, assetData]) => {
-            const item = document.createElement('div');
-            item.style.cssText = `
-                padding: 10px 20px;
-                cursor: pointer;
-                color: #00ccff;
-                transition: all 0.2s;
-                user-select: none;
-                border-bottom: 1px solid rgba(0, 204, 255, 0.2);
-            `;
-            item.textContent = `Colocar ${name}`;
-            
-            item.addEventListener('mouseenter', () => {
-                item.style.background = 'rgba(0, 204, 255, 0.2)';
-                item.style.paddingLeft = '30px';
-            }, { passive: true });
-            
-            item.addEventListener('mouseleave', () => {
-                item.style.background = 'transparent';
-                item.style.paddingLeft = '20px';
-            }, { passive: true });
-            
-            // Usar mousedown en lugar de click (más confiable)
-            item.addEventListener('mousedown', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.placeAsset(name);
-                this.closeContextMenu();
-            });
-            
-            this.contextMenu.appendChild(item);
+    clearPlaced() {
+        this.placedObjects.forEach(({ id, modelData, stopImpacts }) => {
+            stopImpacts();
+            this.modelLoader.remove(modelData);
+            this.debris.removeOwner(id);
         });
-
-        document.body.appendChild(this.contextMenu);
+        this.placedObjects = [];
+        this.impacts = [];
     }
 
     /**
-     * Cerrar menú contextual
+     * Devolver cada objeto colocado a donde se colocó, sin velocidad
+     * (los que se rompieron se vuelven a crear)
+     * @returns {Promise} Se resuelve cuando todos están en su lugar
      */
-    closeContextMenu() {
-        if (this.contextMenu) {
-            this.contextMenu.remove();
-            this.contextMenu = null;
-        }
+    resetPlaced() {
+        this.impacts = [];
+
+        return Promise.all(this.placedObjects.map((placed) => {
+            if (placed.broken) return this.rebuildObject(placed);
+
+            const { modelData, initialState } = placed;
+            if (!this.modelLoader.loadedModels.includes(modelData)) return null;
+
+            setBodyState(modelData.physics, initialState);
+            // Si se durmió en otro lugar, que vuelva a caer desde donde se colocó
+            modelData.physics.wakeUp();
+            modelData.visual.position.copy(modelData.physics.position);
+            modelData.visual.quaternion.copy(modelData.physics.quaternion);
+            return null;
+        }));
     }
 
     /**
-     * Colocar un asset en la posición seleccionada
-     * @param {string} assetName - Nombre del asset registrado
+     * Quitar los pedazos de un objeto roto y volver a crearlo intacto en su estado inicial
      */
-    placeAsset(assetName) {
-        if (!this.selectedObject) {
-            console.warn('No hay posición seleccionada');
-            return;
-        }
+    rebuildObject(placed) {
+        const asset = this.assets[placed.name];
+        const options = { ...asset.options, position: placed.initialState.position, scale: 1 };
+        this.debris.removeOwner(placed.id);
 
-        if (!this.assets[assetName]) {
-            console.error(`Asset no encontrado: ${assetName}`);
-            return;
+        const finish = (modelData) => {
+            setBodyState(modelData.physics, placed.initialState);
+            modelData.physics.wakeUp();
+            modelData.visual.position.copy(modelData.physics.position);
+            modelData.visual.quaternion.copy(modelData.physics.quaternion);
+            placed.modelData = modelData;
+            placed.broken = false;
+            this.watchObjectImpacts(placed);
+        };
+
+        // Con el modelo en caché vuelve en este mismo paso (resultados reproducibles)
+        const cached = this.modelLoader.loadCached(asset.path, options);
+        if (cached) {
+            finish(cached);
+            return null;
         }
+        return this.modelLoader.load(asset.path, options).then(finish);
+    }
 
-        const position = [
-            this.selectedObject.x,
-            this.selectedObject.y + 5, // Elevamos un poco para evitar conflictos
-            this.selectedObject.z
-        ];
+    /**
+     * Objetos colocados con su estado físico (para guardar la simulación)
+     */
+    serialize() {
+        return this.placedObjects
+            .filter(({ modelData }) => this.modelLoader.loadedModels.includes(modelData))
+            .map(({ name, modelData }) => ({ type: name, ...getBodyState(modelData.physics) }));
+    }
 
-        const assetData = this.assets[assetName];
-        const assetPath = assetData.path;
-        const options = assetData.options;
+    /**
+     * Sustituir los objetos colocados por los guardados con serialize()
+     * @returns {Promise} Se resuelve cuando todos están cargados
+     */
+    restore(objects) {
+        this.clearPlaced();
 
-        // Cargar modelo en la posición
-        this.modelLoader.load(assetPath, {
-            mass: options.mass,
-            position: position,
-            scale: 1,
-            friction: options.friction,
-            restitution: options.restitution,
-            onLoad: (modelData) => {
-                console.log(` ${assetName} colocado exitosamente en:`, position);
-            }
-        }).catch(error => {
-            alert(`Error al cargar ${assetName}. Verifica la ruta: ${assetPath}`);
-        });
+        return Promise.allSettled(objects.map((data) =>
+            this.placeAssetAt(data.type, data.position).then((modelData) => {
+                setBodyState(modelData.physics, data);
+                modelData.visual.position.copy(modelData.physics.position);
+                modelData.visual.quaternion.copy(modelData.physics.quaternion);
+            })
+        ));
     }
 
     /**
      * Limpiar el sistema
      */
     destroy() {
-        this.closeContextMenu();
-        document.removeEventListener('contextmenu', this.onRightClick);
+        this.clearPlaced();
     }
 }
@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+
+/**
+ * PlacementUI - Click derecho sobre un modelo para colocar objetos encima
+ *
+ * Muestra un menú con los assets registrados en el PlacementSystem y coloca
+ * el elegido unos metros por encima del punto donde se hizo click.
+ *
+ * Uso:
+ * const placementUI = new PlacementUI(placer, camera);
+ */
+export class PlacementUI {
+    constructor(placer, camera) {
+        this.placer = placer;
+        this.camera = camera;
+
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+        this.contextMenu = null;
+        this.selectedObject = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configurar listeners para mouse
+     */
+    setupEventListeners() {
+        // Click derecho (context menu)
+        this.onContextMenu = (event) => {
+            event.preventDefault();
+            this.onRightClick(event);
+        };
+
+        // Cerrar menú al click izquierdo FUERA del menú
+        this.onClick = (event) => {
+            // Si el click NO está en el menú, cerrarlo
+            if (this.contextMenu && !this.contextMenu.contains(event.target)) {
+                this.closeContextMenu();
+            }
+        };
+
+        // Detectar objetos bajo el ratón
+        this.onMouseMove = (event) => {
+            this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+            this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        };
+
+        document.addEventListener('contextmenu', this.onContextMenu, { passive: false });
+        document.addEventListener('click', this.onClick, { passive: true });
+        document.addEventListener('mousemove', this.onMouseMove, { passive: true });
+    }
+
+    /**
+     * Manejar click derecho
+     */
+    onRightClick(event) {
+        // Actualizar raycaster
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        // Buscar intersecciones con modelos
+        const loadedModels = this.placer.modelLoader.getAllModels();
+        const meshes = loadedModels.map(m => m.visual).filter(v => v);
+        
+        // También incluir meshes del objeto visual
+        const allMeshes = [];
+        meshes.forEach(mesh => {
+            mesh.traverse(child => {
+                if (child instanceof THREE.Mesh) {
+                    allMeshes.push(child);
+                }
+            });
+        });
+
+
+        const intersects = this.raycaster.intersectObjects(allMeshes, true);
+
+        if (intersects.length > 0) {
+            const intersection = intersects[0];
+            this.selectedObject = intersection.point;
+            this.showContextMenu(event.clientX, event.clientY);
+        } else {
+            console.warn('⚠️ No se detectó colisión con objetos');
+        }
+    }
+
+    /**
+     * Mostrar menú contextual
+     */
+    showContextMenu(x, y) {
+        // Eliminar menú anterior si existe
+        this.closeContextMenu();
+
+        // Crear menú
+        this.contextMenu = document.createElement('div');
+        this.contextMenu.id = 'context-menu';
+        this.contextMenu.style.cssText = `
+            position: fixed;
+            top: ${y}px;
+            left: ${x}px;
+            background: rgba(30, 30, 30, 0.95);
+            border: 2px solid #00ccff;
+            border-radius: 8px;
+            padding: 8px 0;
+            z-index: 10000;
+            box-shadow: 0 8px 16px rgba(0, 0, 0, 0.5);
+            font-family: Arial, sans-serif;
+            min-width: 150px;
+        `;
+
+        // Agregar opciones de assets
+        Object.keys(this.placer.assets).forEach((name) => {
+            const item = document.createElement('div');
+            item.style.cssText = `
+                padding: 10px 20px;
+                cursor: pointer;
+                color: #00ccff;
+                transition: all 0.2s;
+                user-select: none;
+                border-bottom: 1px solid rgba(0, 204, 255, 0.2);
+            `;
+            item.textContent = `Colocar ${name}`;
+            
+            item.addEventListener('mouseenter', () => {
+                item.style.background = 'rgba(0, 204, 255, 0.2)';
+                item.style.paddingLeft = '30px';
+            }, { passive: true });
+            
+            item.addEventListener('mouseleave', () => {
+                item.style.background = 'transparent';
+                item.style.paddingLeft = '20px';
+            }, { passive: true });
+            
+            // Usar mousedown en lugar de click (más confiable)
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.placeAsset(name);
+                this.closeContextMenu();
+            });
+            
+            this.contextMenu.appendChild(item);
+        });
+
+        document.body.appendChild(this.contextMenu);
+    }
+
+    /**
+     * Cerrar menú contextual
+     */
+    closeContextMenu() {
+        if (this.contextMenu) {
+            this.contextMenu.remove();
+            this.contextMenu = null;
+        }
+    }
+
+    /**
+     * Colocar un asset en la posición seleccionada
+     * @param {string} assetName - Nombre del asset registrado
+     */
+    placeAsset(assetName) {
+        if (!this.selectedObject) {
+            console.warn('No hay posición seleccionada');
+            return;
+        }
+
+        const position = [
+            this.selectedObject.x,
+            this.selectedObject.y + 5, // Elevamos un poco para evitar conflictos
+            this.selectedObject.z
+        ];
+
+        this.placer.placeAssetAt(assetName, position).catch(error => {
+            // El fallo queda registrado en modelLoader.tracker (la pantalla de carga lo muestra)
+            console.error(`Error al cargar ${assetName}:`, error);
+        });
+    }
+
+    destroy() {
+        this.closeContextMenu();
+        document.removeEventListener('contextmenu', this.onContextMenu);
+        document.removeEventListener('click', this.onClick);
+        document.removeEventListener('mousemove', this.onMouseMove);
+    }
+}
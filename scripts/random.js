@@ -0,0 +1,31 @@
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32)
+ *
+ * Devuelve una función que se usa igual que Math.random() pero que,
+ * con la misma semilla, produce siempre la misma secuencia.
+ *
+ * El estado interno se puede leer y restaurar (getState / setState)
+ * para guardar la simulación y continuar la misma secuencia.
+ *
+ * Uso:
+ * const random = createRandom(42);
+ * const valor = random(); // [0, 1)
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    random.getState = () => state;
+    random.setState = (value) => {
+        state = value >>> 0;
+    };
+
+    return random;
+}
@@ -0,0 +1,263 @@
+import { REPLAY_VERSION, TRACK_STRIDE, VALUE_PRECISION } from './replay_recorder.js';
+
+/**
+ * Formatos de archivo de las grabaciones (ver ReplayRecorder)
+ *
+ * - JSON: la grabación tal cual, fácil de inspeccionar.
+ * - Binario: cabecera JSON con la descripción de las pistas y los cuadros
+ *   como enteros de longitud variable (varint). Los valores ya vienen
+ *   redondeados a 1/VALUE_PRECISION, así que se guardan como enteros sin
+ *   perder nada; cada canal guarda la diferencia con el cuadro anterior
+ *   (un objeto quieto o una escala constante ocupan un byte por cuadro).
+ *
+ *   "TREP" | versión del formato (uint32) | largo de la cabecera (uint32) |
+ *   cabecera JSON | por pista: diferencias entre cuadros, luego cada canal
+ *   (diferencias con signo en zigzag)
+ *
+ * Uso:
+ * const buffer = encodeReplay(recording);
+ * const recording = decodeReplay(buffer);
+ */
+
+const MAGIC = 'TREP';
+const BINARY_VERSION = 2;
+const PREFIX_BYTES = 12; // Magia + versión + largo de la cabecera
+
+/**
+ * Grabación a binario
+ * @returns {ArrayBuffer}
+ */
+export function encodeReplay(recording) {
+    assertValidReplay(recording);
+
+    const { tracks, ...rest } = recording;
+    const header = {
+        ...rest,
+        tracks: tracks.map(({ frames, values, ...track }) => ({ ...track, sampleCount: frames.length }))
+    };
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+    const writer = new VarintWriter();
+    tracks.forEach((track) => {
+        let previousFrame = 0;
+        track.frames.forEach((frame) => {
+            writer.write(frame - previousFrame);
+            previousFrame = frame;
+        });
+
+        const stride = TRACK_STRIDE[track.kind];
+        for (let channel = 0; channel < stride; channel++) {
+            let previous = 0;
+            for (let i = channel; i < track.values.length; i += stride) {
+                const value = Math.round(track.values[i] * VALUE_PRECISION);
+                writer.writeSigned(value - previous);
+                previous = value;
+            }
+        }
+    });
+    const data = writer.toBytes();
+
+    const buffer = new ArrayBuffer(PREFIX_BYTES + headerBytes.length + data.length);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    bytes.set(new TextEncoder().encode(MAGIC), 0);
+    view.setUint32(4, BINARY_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    bytes.set(headerBytes, PREFIX_BYTES);
+    bytes.set(data, PREFIX_BYTES + headerBytes.length);
+
+    return buffer;
+}
+
+/**
+ * Binario a grabación
+ * @param {ArrayBuffer} buffer
+ */
+export function decodeReplay(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < PREFIX_BYTES || new TextDecoder().decode(bytes.subarray(0, 4)) !== MAGIC) {
+        throw new Error('El archivo no es una grabación de la simulación');
+    }
+
+    const view = new DataView(buffer);
+    const version = view.getUint32(4, true);
+    if (version !== BINARY_VERSION) {
+        throw new Error(`Versión de archivo de grabación no soportada: ${version}`);
+    }
+
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(PREFIX_BYTES, PREFIX_BYTES + headerLength)));
+    const reader = new VarintReader(bytes, PREFIX_BYTES + headerLength);
+
+    const tracks = header.tracks.map(({ sampleCount, ...track }) => {
+        const frames = new Array(sampleCount);
+        let frame = 0;
+        for (let i = 0; i < sampleCount; i++) {
+            frame += reader.read();
+            frames[i] = frame;
+        }
+
+        const stride = TRACK_STRIDE[track.kind];
+        if (!stride) {
+            throw new Error(`Grabación inválida: tipo de pista desconocido: ${track.kind}`);
+        }
+        const values = new Array(sampleCount * stride);
+        for (let channel = 0; channel < stride; channel++) {
+            let value = 0;
+            for (let i = 0; i < sampleCount; i++) {
+                value += reader.readSigned();
+                values[i * stride + channel] = value / VALUE_PRECISION;
+            }
+        }
+
+        return { ...track, frames, values };
+    });
+    if (reader.offset !== bytes.length) {
+        throw new Error('Grabación dañada: el tamaño de los datos no coincide con la cabecera');
+    }
+
+    const recording = { ...header, tracks };
+    assertValidReplay(recording);
+    return recording;
+}
+
+/**
+ * Enteros sin signo en base 128 (7 bits por byte; el bit alto indica que sigue otro)
+ */
+class VarintWriter {
+    constructor() {
+        this.bytes = new Uint8Array(1024);
+        this.length = 0;
+    }
+
+    write(value) {
+        if (this.length + 8 > this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+
+        // Con división en vez de operaciones de bits: sirve más allá de 32 bits
+        let rest = value;
+        while (rest >= 128) {
+            this.bytes[this.length++] = (rest % 128) | 128;
+            rest = Math.floor(rest / 128);
+        }
+        this.bytes[this.length++] = rest;
+    }
+
+    /**
+     * Zigzag: 0, -1, 1, -2... pasan a 0, 1, 2, 3...
+     */
+    writeSigned(value) {
+        this.write(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class VarintReader {
+    constructor(bytes, offset) {
+        this.bytes = bytes;
+        this.offset = offset;
+    }
+
+    read() {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            if (this.offset >= this.bytes.length) {
+                throw new Error('Grabación dañada: faltan datos');
+            }
+            byte = this.bytes[this.offset++];
+            value += (byte & 127) * scale;
+            scale *= 128;
+        } while (byte & 128);
+        return value;
+    }
+
+    readSigned() {
+        const value = this.read();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+}
+
+export function replayToJSON(recording) {
+    assertValidReplay(recording);
+    return JSON.stringify(recording);
+}
+
+export function replayFromJSON(json) {
+    const recording = JSON.parse(json);
+    assertValidReplay(recording);
+    return recording;
+}
+
+/**
+ * Lanza un Error si la grabación no tiene la forma esperada
+ */
+export function assertValidReplay(recording) {
+    if (!recording || recording.version !== REPLAY_VERSION) {
+        throw new Error(`Versión de grabación no soportada: ${recording?.version}`);
+    }
+    if (!(recording.interval > 0) || !Array.isArray(recording.tracks) || !Array.isArray(recording.events)) {
+        throw new Error('Grabación inválida: faltan interval, tracks o events');
+    }
+
+    recording.tracks.forEach((track) => {
+        const stride = TRACK_STRIDE[track.kind];
+        if (!stride) {
+            throw new Error(`Grabación inválida: tipo de pista desconocido: ${track.kind}`);
+        }
+        if (track.values.length !== track.frames.length * stride) {
+            throw new Error(`Grabación inválida: la pista ${track.id} tiene ${track.values.length} valores para ${track.frames.length} cuadros`);
+        }
+    });
+}
+
+/**
+ * Descargar la grabación como archivo (solo navegador)
+ * @param {object} recording
+ * @param {string} filename - .json o .trep
+ */
+export function downloadReplay(recording, filename) {
+    const blob = filename.endsWith('.json')
+        ? new Blob([replayToJSON(recording)], { type: 'application/json' })
+        : new Blob([encodeReplay(recording)], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Pedir un archivo de grabación (.json o .trep) al usuario y leerlo (solo navegador)
+ * @returns {Promise<object>} Grabación; si se cancela no se resuelve
+ */
+export function readReplayFromFile() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.trep';
+
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            const read = file.name.endsWith('.json')
+                ? file.text().then(replayFromJSON)
+                : file.arrayBuffer().then(decodeReplay);
+            read.then(resolve, reject);
+        }, { once: true });
+
+        input.click();
+    });
+}
@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+import { Tornado } from './tornado.js';
+import { PHASE_SCALE_KEYS, TRACK_STRIDE } from './replay_recorder.js';
+import { assertValidReplay } from './replay_format.js';
+
+/**
+ * ReplayPlayer - Ver una grabación (ReplayRecorder) sin correr la física
+ *
+ * Reconstruye los modelos y escombros con los assets ya cargados por el
+ * ModelLoader y los mueve según la grabación; los tornados se regeneran con su
+ * semilla y solo se animan sus partículas. Mientras se ve la repetición los
+ * objetos de la simulación en vivo se ocultan (y el reloj no debe avanzar).
+ *
+ * Se puede ir a cualquier instante (seek), reproducir a cualquier velocidad
+ * (negativa = hacia atrás) y saltar al próximo evento de daño.
+ *
+ * Uso:
+ * const player = new ReplayPlayer(simulation);
+ * await player.load(recording);
+ * player.enter();
+ * player.update(frameDelta); // Una vez por frame
+ * player.exit();
+ */
+export class ReplayPlayer {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.simulation.scene.add(this.group);
+
+        this.recording = null;
+        this.entries = [];  // { track, object, tornado }
+        this.hidden = [];   // Objetos de la simulación en vivo ocultos durante la repetición
+        this.active = false;
+        this.playing = true;
+        this.speed = 1;
+        this.time = 0;
+    }
+
+    get duration() {
+        return this.recording ? this.recording.duration : 0;
+    }
+
+    /**
+     * Preparar los objetos de una grabación (descarga los assets que falten)
+     * @returns {Promise}
+     */
+    async load(recording) {
+        assertValidReplay(recording);
+        this.clear();
+
+        const { modelLoader } = this.simulation;
+        const paths = new Set(recording.tracks.filter((track) => track.path).map((track) => track.path));
+        const templates = new Map();
+        await Promise.all(Array.from(paths, (path) =>
+            modelLoader.loadTemplate(path).then((template) => templates.set(path, template))
+        ));
+
+        this.recording = recording;
+        this.entries = recording.tracks.map((track) => this.createEntry(track, templates));
+        this.time = 0;
+        this.seek(0);
+    }
+
+    createEntry(track, templates) {
+        if (track.kind === 'tornado') {
+            // Sin partículas al crearlo: primero se ajusta la forma, después se generan con la semilla
+            const tornado = new Tornado(this.group, { seed: track.seed, particles: false });
+            tornado.particleCount = track.particleCount;
+            tornado.maxHeight = track.maxHeight;
+            tornado.particlesEnabled = true;
+            tornado.createGeometryAndMesh();
+            return { track, object: tornado.mesh, tornado };
+        }
+
+        const template = templates.get(track.path);
+        const object = track.kind === 'model'
+            ? template.clone(true)
+            : createDebrisMesh(template, track.meshIndex);
+        object.scale.fromArray(track.scale);
+        object.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        this.group.add(object);
+
+        return { track, object, tornado: null };
+    }
+
+    /**
+     * Mostrar la repetición en lugar de la simulación en vivo
+     */
+    enter() {
+        if (this.active || !this.recording) return;
+
+        const { modelLoader, debrisManager, tornadoManager } = this.simulation;
+        const liveObjects = [
+            ...modelLoader.getAllModels().map((modelData) => modelData.visual),
+            ...[...debrisManager.live, ...debrisManager.rubble].map((piece) => piece.mesh),
+            ...tornadoManager.getAll().map((tornado) => tornado.mesh).filter(Boolean)
+        ];
+        this.hidden = liveObjects.map((object) => ({ object, visible: object.visible }));
+        liveObjects.forEach((object) => (object.visible = false));
+
+        this.group.visible = true;
+        this.active = true;
+        this.seek(this.time);
+    }
+
+    /**
+     * Volver a la simulación en vivo (queda como estaba al entrar)
+     */
+    exit() {
+        if (!this.active) return;
+
+        this.hidden.forEach(({ object, visible }) => (object.visible = visible));
+        this.hidden = [];
+        this.group.visible = false;
+        this.active = false;
+    }
+
+    /**
+     * Avanzar la reproducción según el tiempo real del frame
+     */
+    update(frameDelta) {
+        if (!this.recording || !this.playing) return;
+
+        const delta = frameDelta * this.speed;
+        const time = Math.min(Math.max(this.time + delta, 0), this.duration);
+        // Al llegar a un extremo se detiene (se puede seguir con seek o cambiando el sentido)
+        if (time === this.time && delta !== 0) {
+            this.playing = false;
+            return;
+        }
+
+        this.seek(time);
+        this.animateTornadoes(Math.abs(delta));
+    }
+
+    /**
+     * Ir a un instante de la grabación
+     * @param {number} time - Segundos desde el inicio de la grabación
+     */
+    seek(time) {
+        if (!this.recording) return;
+
+        this.time = Math.min(Math.max(time, 0), this.duration);
+        const frame = this.time / this.recording.interval;
+
+        this.entries.forEach(({ track, object, tornado }) => {
+            const alive = frame >= track.startFrame && Math.floor(frame) <= track.endFrame && track.frames.length > 0;
+            if (!alive) {
+                if (object) object.visible = false;
+                return;
+            }
+
+            const values = sampleTrack(track, frame);
+            if (tornado) {
+                applyTornadoValues(tornado, values);
+                return;
+            }
+
+            object.visible = true;
+            object.position.fromArray(values, 0);
+            object.quaternion.fromArray(values, 3).normalize();
+        });
+    }
+
+    /**
+     * Saltar al próximo cambio de etapa de daño
+     * @returns {object|null} El evento, o null si no hay más
+     */
+    nextEvent() {
+        if (!this.recording) return null;
+
+        const event = this.recording.events.find((candidate) => candidate.time > this.time + 1e-6);
+        if (event) this.seek(event.time);
+        return event || null;
+    }
+
+    animateTornadoes(delta) {
+        if (delta === 0) return;
+
+        this.entries.forEach(({ tornado }) => {
+            if (!tornado || !tornado.mesh.visible) return;
+            tornado.time += delta;
+            tornado.animateParticles(delta);
+        });
+    }
+
+    /**
+     * Quitar los objetos de la grabación actual
+     */
+    clear() {
+        this.entries.forEach(({ track, object, tornado }) => {
+            if (tornado) {
+                tornado.dispose();
+                return;
+            }
+            this.group.remove(object);
+            // Los modelos comparten geometría con la caché; los pedazos tienen la suya
+            if (track.kind === 'debris') object.geometry.dispose();
+        });
+        this.entries = [];
+        this.recording = null;
+    }
+
+    dispose() {
+        this.exit();
+        this.clear();
+        this.simulation.scene.remove(this.group);
+    }
+}
+
+/**
+ * Valores de una pista en un cuadro (fraccionario). Solo se interpola entre
+ * cuadros consecutivos: si hay un hueco el objeto estuvo quieto.
+ */
+function sampleTrack(track, frame) {
+    const { frames, values } = track;
+    const stride = TRACK_STRIDE[track.kind];
+
+    // Último cuadro grabado <= frame (búsqueda binaria)
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (frames[middle] <= frame) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    const start = low * stride;
+    const current = values.slice(start, start + stride);
+    const next = low + 1;
+    if (next >= frames.length || frames[next] !== frames[low] + 1 || frame <= frames[low]) {
+        return current;
+    }
+
+    const t = frame - frames[low];
+    const after = values.slice(next * stride, next * stride + stride);
+    const result = current.map((value, i) => value + (after[i] - value) * t);
+
+    // Las rotaciones se interpolan como cuaternión (posición en 0-2, rotación en 3-6)
+    if (track.kind !== 'tornado') {
+        const q = new THREE.Quaternion().fromArray(current, 3).slerp(new THREE.Quaternion().fromArray(after, 3), t);
+        q.toArray(result, 3);
+    }
+    return result;
+}
+
+function applyTornadoValues(tornado, values) {
+    tornado.position.fromArray(values, 0);
+    tornado.maxRadiusOverride = values[4];
+    if (tornado.intensity !== values[3] || tornado.maxRadius !== values[4]) {
+        tornado.setIntensity(values[3]);
+    }
+
+    const scale = {};
+    PHASE_SCALE_KEYS.forEach((key, i) => (scale[key] = values[5 + i]));
+    tornado.setPhaseScale(scale);
+}
+
+/**
+ * Copia de una pieza del modelo centrada en su caja, igual que los pedazos de
+ * BuildingSlots.breakIntoDebris (la grabación guarda la posición de ese centro)
+ */
+function createDebrisMesh(template, meshIndex) {
+    const meshes = [];
+    template.traverse((child) => {
+        if (child.isMesh) meshes.push(child);
+    });
+    const source = meshes[meshIndex];
+    if (!source) {
+        throw new Error(`Grabación inválida: el modelo no tiene la pieza ${meshIndex}`);
+    }
+
+    const geometry = source.geometry.clone();
+    geometry.computeBoundingBox();
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    geometry.translate(-center.x, -center.y, -center.z);
+
+    return new THREE.Mesh(geometry, source.material);
+}
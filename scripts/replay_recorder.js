@@ -0,0 +1,233 @@
+/**
+ * ReplayRecorder - Grabar una simulación para verla después sin física
+ *
+ * En cada cuadro de grabación guarda la posición y rotación de los modelos
+ * cargados (suelo, edificios, objetos) y de los escombros, y la posición,
+ * intensidad y escalas de fase de los tornados (más su semilla, para
+ * regenerar las mismas partículas). También anota cada cambio de etapa de
+ * daño de los edificios.
+ *
+ * Cada pista solo guarda un cuadro cuando el objeto se movió, así los
+ * modelos estáticos y el escombro asentado casi no ocupan lugar.
+ *
+ * La grabación es un objeto JSON:
+ * {
+ *   version, interval, duration, frameCount,
+ *   tracks: [{ id, kind: 'model' | 'debris' | 'tornado', startFrame, endFrame,
+ *              frames: [cuadro], values: [TRACK_STRIDE[kind] números por cuadro], ... }],
+ *   events: [{ time, buildingId, slotId, type, stage }]
+ * }
+ *
+ * Limitación: la pérdida de techo sin modelo propio (piezas ocultas u
+ * oscurecidas) no se graba; en la repetición el edificio se ve intacto
+ * hasta que cambia de modelo.
+ *
+ * Uso:
+ * const recorder = new ReplayRecorder(simulation, { interval: 1 / 30 });
+ * recorder.start();
+ * // ... la simulación avanza ...
+ * const recording = recorder.stop();
+ */
+
+export const REPLAY_VERSION = 1;
+
+// Números por cuadro de cada tipo de pista
+export const TRACK_STRIDE = {
+    model: 7,    // posición (3) + cuaternión (4)
+    debris: 7,   // posición (3) + cuaternión (4)
+    tornado: 11  // posición (3) + intensidad + radio + escalas de fase (6)
+};
+
+// Escala de los valores grabados (ver round): el formato binario los guarda como enteros
+export const VALUE_PRECISION = 10000;
+
+export const PHASE_SCALE_KEYS = ['height', 'radius', 'force', 'opacity', 'lift', 'chaos'];
+
+// Cambios menores que esto no generan un cuadro nuevo
+const CHANGE_EPSILON = 1e-4;
+
+export class ReplayRecorder {
+    /**
+     * @param {Simulation} simulation
+     * @param {object} options
+     *   - interval: número (default: 1/30) - Segundos simulados entre cuadros
+     *     (se redondea a un múltiplo del paso fijo del reloj)
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.interval = options.interval || 1 / 30;
+
+        this.recording = null;
+        this.unsubscribe = null;
+    }
+
+    get isRecording() {
+        return this.unsubscribe !== null;
+    }
+
+    /**
+     * Empezar una grabación nueva (descarta la anterior)
+     */
+    start() {
+        if (this.isRecording) this.stop();
+
+        const { clock } = this.simulation;
+        this.stepsPerFrame = Math.max(1, Math.round(this.interval / clock.fixedStep));
+        this.startStep = clock.stepCount;
+        this.startTime = clock.time;
+
+        this.recording = {
+            version: REPLAY_VERSION,
+            interval: this.stepsPerFrame * clock.fixedStep,
+            duration: 0,
+            frameCount: 0,
+            tracks: [],
+            events: []
+        };
+        this.tracksByObject = new Map(); // { objeto de la simulación: pista }
+        this.nextTrackId = 1;
+
+        this.captureFrame();
+        const stopFrames = this.simulation.clock.on('step', ({ stepCount }) => {
+            if ((stepCount - this.startStep) % this.stepsPerFrame === 0) {
+                this.captureFrame();
+            }
+        });
+        const stopEvents = this.simulation.events.on('buildingDamaged', (event) => this.captureEvent(event));
+        this.unsubscribe = () => {
+            stopFrames();
+            stopEvents();
+        };
+    }
+
+    /**
+     * Terminar la grabación
+     * @returns {object|null} La grabación
+     */
+    stop() {
+        if (!this.isRecording) return this.recording;
+
+        this.unsubscribe();
+        this.unsubscribe = null;
+
+        // Las pistas que siguen vivas duran hasta el último cuadro
+        const lastFrame = this.recording.frameCount - 1;
+        this.recording.tracks.forEach((track) => {
+            if (track.endFrame === null) track.endFrame = lastFrame;
+        });
+        this.tracksByObject = null;
+
+        return this.recording;
+    }
+
+    /**
+     * Cambio de etapa de daño (evento buildingDamaged del bus de la simulación)
+     */
+    captureEvent({ time, buildingId, slotId, type, stage }) {
+        this.recording.events.push({
+            time: round(time - this.startTime),
+            buildingId,
+            slotId,
+            type,
+            stage
+        });
+    }
+
+    captureFrame() {
+        const frame = this.recording.frameCount;
+        const { modelLoader, debrisManager, tornadoManager } = this.simulation;
+        const seen = new Set();
+
+        modelLoader.getAllModels().forEach((modelData) => {
+            const { visual } = modelData;
+            const track = this.getTrack(modelData, frame, () => ({
+                kind: 'model',
+                path: modelData.path,
+                scale: visual.scale.toArray().map(round)
+            }));
+            this.sample(track, frame, transformValues(visual));
+            seen.add(modelData);
+        });
+
+        [...debrisManager.live, ...debrisManager.rubble].forEach((piece) => {
+            if (!piece.source) return;
+
+            const track = this.getTrack(piece, frame, () => ({
+                kind: 'debris',
+                path: piece.source.path,
+                meshIndex: piece.source.meshIndex,
+                scale: piece.mesh.scale.toArray().map(round)
+            }));
+            this.sample(track, frame, transformValues(piece.mesh));
+            seen.add(piece);
+        });
+
+        tornadoManager.getAll().forEach((tornado) => {
+            const track = this.getTrack(tornado, frame, () => ({
+                kind: 'tornado',
+                tornadoId: tornado.id,
+                seed: tornado.seed,
+                particleCount: tornado.particleCount,
+                maxHeight: tornado.maxHeight
+            }));
+            this.sample(track, frame, [
+                ...tornado.position.toArray(),
+                tornado.intensity,
+                tornado.maxRadius,
+                ...PHASE_SCALE_KEYS.map((key) => tornado.phaseScale[key])
+            ].map(round));
+            seen.add(tornado);
+        });
+
+        // Lo que ya no está (demolido, modelo sustituido, escombro eliminado) termina en el cuadro anterior
+        this.tracksByObject.forEach((track, object) => {
+            if (!seen.has(object)) {
+                track.endFrame = frame - 1;
+                this.tracksByObject.delete(object);
+            }
+        });
+
+        this.recording.frameCount = frame + 1;
+        this.recording.duration = round(frame * this.recording.interval);
+    }
+
+    getTrack(object, frame, describe) {
+        let track = this.tracksByObject.get(object);
+        if (!track) {
+            track = {
+                id: this.nextTrackId++,
+                ...describe(),
+                startFrame: frame,
+                endFrame: null,
+                frames: [],
+                values: []
+            };
+            this.tracksByObject.set(object, track);
+            this.recording.tracks.push(track);
+        }
+        return track;
+    }
+
+    /**
+     * Agregar un cuadro a la pista solo si cambió algo desde el último
+     */
+    sample(track, frame, values) {
+        const stride = values.length;
+        const last = track.values.length - stride;
+        if (last >= 0 && values.every((value, i) => Math.abs(value - track.values[last + i]) < CHANGE_EPSILON)) {
+            return;
+        }
+
+        track.frames.push(frame);
+        track.values.push(...values);
+    }
+}
+
+function transformValues(object) {
+    return [...object.position.toArray(), ...object.quaternion.toArray()].map(round);
+}
+
+// Cuatro decimales (décimas de milímetro) alcanzan y la grabación ocupa mucho menos en JSON
+function round(value) {
+    return Math.round(value * VALUE_PRECISION) / VALUE_PRECISION;
+}
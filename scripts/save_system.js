@@ -0,0 +1,136 @@
+/**
+ * SaveSystem - Guardar y cargar el estado completo de la simulación
+ *
+ * Guarda los edificios (con su daño y, opcionalmente, cada pedazo de escombro),
+ * los objetos colocados y los tornados (posición, intensidad, fase y trayectoria).
+ * Los tipos de edificio y de objeto se guardan por nombre: al cargar deben
+ * estar registrados (mismo manifiesto de escena).
+ *
+ * Uso:
+ * const saves = new SaveSystem({ placer, buildingSlots, tornadoManager });
+ * saves.saveToStorage('partida1');
+ * await saves.loadFromStorage('partida1');
+ * saves.exportToFile('tormenta.json');
+ * const state = await saves.readStateFromFile();
+ * await saves.restore(state);
+ */
+
+export const SAVE_FORMAT_VERSION = 1;
+const STORAGE_PREFIX = 'tornado-sim:save:';
+
+export class SaveSystem {
+    /**
+     * @param {object} systems - { placer, buildingSlots, tornadoManager }
+     * @param {object} options
+     *   - storage: Storage (default: window.localStorage)
+     */
+    constructor(systems, options = {}) {
+        this.placer = systems.placer;
+        this.buildingSlots = systems.buildingSlots;
+        this.tornadoManager = systems.tornadoManager;
+        this.storage = options.storage || globalThis.localStorage;
+    }
+
+    /**
+     * Estado completo como objeto JSON
+     * @param {object} options
+     *   - includeDebris: boolean (default: true) - Guardar cada pedazo de escombro
+     */
+    serialize(options = {}) {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            buildings: this.buildingSlots.serialize(options),
+            props: this.placer.serialize(),
+            tornadoes: this.tornadoManager.serialize()
+        };
+    }
+
+    /**
+     * Sustituir la escena actual por un estado guardado
+     * @returns {Promise} Se resuelve cuando todos los modelos están cargados
+     */
+    async restore(state) {
+        if (!state || state.version !== SAVE_FORMAT_VERSION) {
+            throw new Error(`Versión de guardado no soportada: ${state?.version}`);
+        }
+
+        this.tornadoManager.restore(state.tornadoes);
+        await Promise.all([
+            this.buildingSlots.restore(state.buildings),
+            this.placer.restore(state.props)
+        ]);
+    }
+
+    saveToStorage(slotName, options = {}) {
+        try {
+            this.storage.setItem(STORAGE_PREFIX + slotName, JSON.stringify(this.serialize(options)));
+        } catch (error) {
+            throw new Error(`No se pudo guardar "${slotName}": ${error.message}`);
+        }
+    }
+
+    loadFromStorage(slotName) {
+        const json = this.storage.getItem(STORAGE_PREFIX + slotName);
+        if (json === null) {
+            return Promise.reject(new Error(`No existe la partida guardada "${slotName}"`));
+        }
+        return this.restore(JSON.parse(json));
+    }
+
+    /**
+     * Nombres de las partidas guardadas en el navegador
+     */
+    listStorageSlots() {
+        const names = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key.startsWith(STORAGE_PREFIX)) {
+                names.push(key.slice(STORAGE_PREFIX.length));
+            }
+        }
+        return names.sort();
+    }
+
+    deleteStorageSlot(slotName) {
+        this.storage.removeItem(STORAGE_PREFIX + slotName);
+    }
+
+    /**
+     * Descargar el estado como archivo JSON
+     */
+    exportToFile(filename = 'simulacion.json', options = {}) {
+        const blob = new Blob([JSON.stringify(this.serialize(options), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Pedir un archivo JSON al usuario y leer el estado (no lo restaura)
+     * @returns {Promise<object>} Estado para restore(); si se cancela no se resuelve
+     */
+    readStateFromFile() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) return;
+
+                file.text()
+                    .then((json) => JSON.parse(json))
+                    .then(resolve, reject);
+            }, { once: true });
+
+            input.click();
+        });
+    }
+}
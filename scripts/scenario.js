@@ -0,0 +1,392 @@
+import { EventEmitter } from './event_emitter.js';
+import { SaveSystem } from './save_system.js';
+
+/**
+ * Escenarios - Eventos programados contra el tiempo de simulación
+ *
+ * Un escenario es un JSON con una lista de eventos; cada uno se ejecuta en el
+ * primer paso del reloj en que el tiempo del escenario alcanza su `time`:
+ *
+ * {
+ *   "name": "Demo",
+ *   "events": [
+ *     { "time": 0, "action": "placeBuilding", "slot": "slot_2_1", "type": "Casa" },
+ *     { "time": 5, "action": "spawnTornado", "id": "Principal", "position": [-80, 0, -20], "heading": 0, "speed": 6, "intensity": 2 },
+ *     { "time": 20, "action": "setTornado", "id": "Principal", "intensity": 4, "heading": 30 },
+ *     { "time": 30, "action": "pause" }
+ *   ]
+ * }
+ *
+ * Acciones incluidas (ver SCENARIO_ACTIONS): spawnTornado, setTornado,
+ * removeTornado, placeBuilding, demolishBuilding, damageBuilding, placeProp,
+ * pause. Las que dependen del navegador (cámara, DestructibleSystem) se
+ * agregan con registerAction().
+ *
+ * Eventos:
+ * - 'event': { event, index, time } - Se ejecutó un evento del escenario
+ * - 'finish': { time } - Se ejecutó el último evento
+ *
+ * Uso:
+ * const runner = new ScenarioRunner(simulation, { tornadoPaths });
+ * runner.registerAction('camera', ({ position }) => camera.position.set(...position), { required: ['position'] });
+ * runner.load(await loadScenario('./scenarios/demo.json'));
+ * runner.play();
+ */
+
+// Acciones incluidas: parámetros obligatorios y cómo se ejecutan
+export const SCENARIO_ACTIONS = {
+    // Los mismos parámetros que TornadoManager.spawn(), más heading (grados, 0 = +X, 90 = +Z),
+    // speed (m/s) y path (nombre de tornado.paths del manifiesto) con pathMode
+    spawnTornado: {
+        required: [],
+        run(runner, { path, pathMode = 'pingpong', heading, speed, ...options }) {
+            const velocity = headingVelocity(heading, speed, options.velocity);
+            runner.simulation.tornadoManager.spawn({
+                ...options,
+                ...(velocity ? { velocity } : {}),
+                path: path ? runner.getTornadoPath(path, pathMode) : undefined
+            });
+        }
+    },
+    // intensity, maxRadius, position, velocity, heading y speed; cambiar el rumbo o la
+    // velocidad deja la trayectoria y pasa a velocidad constante
+    setTornado: {
+        required: ['id'],
+        run(runner, { id, intensity, maxRadius, position, velocity, heading, speed }) {
+            const tornado = runner.getTornado(id);
+            if (intensity !== undefined) tornado.setIntensity(intensity);
+            if (maxRadius !== undefined) tornado.setMaxRadius(maxRadius);
+            if (position) tornado.position.set(...position);
+
+            if (velocity || heading !== undefined || speed !== undefined) {
+                // Lo que no se indica se conserva del movimiento actual
+                const current = tornado.velocity;
+                const newVelocity = headingVelocity(
+                    heading ?? (Math.atan2(current.z, current.x) * 180) / Math.PI,
+                    speed ?? Math.hypot(current.x, current.z),
+                    velocity
+                );
+                tornado.setPath(null);
+                tornado.velocity.set(...newVelocity);
+            }
+        }
+    },
+    removeTornado: {
+        required: ['id'],
+        run(runner, { id }) {
+            runner.getTornado(id);
+            runner.simulation.tornadoManager.remove(id);
+        }
+    },
+    placeBuilding: {
+        required: ['slot', 'type'],
+        run(runner, { slot, type }) {
+            return runner.simulation.buildingSlots.placeBuilding(slot, type);
+        }
+    },
+    demolishBuilding: {
+        required: ['slot'],
+        run(runner, { slot }) {
+            runner.getSlot(slot);
+            runner.simulation.buildingSlots.demolishBuilding(slot);
+        }
+    },
+    // stage: 'roofLoss' | 'cracked' | 'collapsed' (default: 'collapsed')
+    damageBuilding: {
+        required: ['slot'],
+        run(runner, { slot, stage = 'collapsed' }) {
+            const { buildingId } = runner.getSlot(slot);
+            if (!buildingId) {
+                throw new Error(`El slot ${slot} no tiene edificio`);
+            }
+            runner.simulation.buildingSlots.setDamageStage(buildingId, stage);
+        }
+    },
+    placeProp: {
+        required: ['type', 'position'],
+        run(runner, { type, position }) {
+            return runner.simulation.placer.placeAssetAt(type, position);
+        }
+    },
+    pause: {
+        required: [],
+        run(runner) {
+            runner.simulation.clock.pause();
+        }
+    }
+};
+
+/**
+ * Descargar y validar un escenario
+ * @param {string} url
+ * @param {string[]} actionNames - Acciones válidas (default: las incluidas)
+ * @returns {Promise<object>} El escenario validado
+ */
+export async function loadScenario(url, actionNames = Object.keys(SCENARIO_ACTIONS)) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`No se pudo descargar el escenario ${url} (HTTP ${response.status})`);
+    }
+
+    let scenario;
+    try {
+        scenario = await response.json();
+    } catch (error) {
+        throw new Error(`El escenario ${url} no es JSON válido: ${error.message}`);
+    }
+
+    assertValidScenario(scenario, actionNames);
+    return scenario;
+}
+
+/**
+ * Lanzar un Error con todos los problemas del escenario (uno por línea)
+ */
+export function assertValidScenario(scenario, actionNames = Object.keys(SCENARIO_ACTIONS), required = {}) {
+    const errors = validateScenario(scenario, actionNames, required);
+    if (errors.length > 0) {
+        throw new Error(`Escenario inválido:\n- ${errors.join('\n- ')}`);
+    }
+}
+
+/**
+ * Validar un escenario
+ * @param {object} scenario
+ * @param {string[]} actionNames - Acciones válidas
+ * @param {object} required - { acción: [parámetros obligatorios] } (default: los de SCENARIO_ACTIONS)
+ * @returns {string[]} Lista de errores ("ruta: problema"); vacía si es válido
+ */
+export function validateScenario(scenario, actionNames = Object.keys(SCENARIO_ACTIONS), required = {}) {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+    if (typeof scenario !== 'object' || scenario === null || Array.isArray(scenario)) {
+        fail('scenario', 'se esperaba un objeto');
+        return errors;
+    }
+    if (scenario.name !== undefined && typeof scenario.name !== 'string') {
+        fail('name', 'se esperaba un texto');
+    }
+    if (!Array.isArray(scenario.events)) {
+        fail('events', 'se esperaba una lista');
+        return errors;
+    }
+
+    scenario.events.forEach((event, index) => {
+        const path = `events[${index}]`;
+        if (typeof event !== 'object' || event === null || Array.isArray(event)) {
+            fail(path, 'se esperaba un objeto');
+            return;
+        }
+        if (typeof event.time !== 'number' || !Number.isFinite(event.time) || event.time < 0) {
+            fail(`${path}.time`, 'se esperaba un número mayor o igual a 0');
+        }
+        if (!actionNames.includes(event.action)) {
+            fail(`${path}.action`, `acción "${event.action}" no válida (válidas: ${actionNames.join(', ')})`);
+            return;
+        }
+
+        const keys = required[event.action] ?? SCENARIO_ACTIONS[event.action]?.required ?? [];
+        keys
+            .filter((key) => event[key] === undefined)
+            .forEach((key) => fail(`${path}.${key}`, `obligatorio para "${event.action}"`));
+    });
+
+    return errors;
+}
+
+export class ScenarioRunner extends EventEmitter {
+    /**
+     * @param {Simulation} simulation
+     * @param {object} options
+     *   - tornadoPaths: object - Fábricas de createTornadoPaths(manifest), para spawnTornado con path
+     */
+    constructor(simulation, options = {}) {
+        super();
+        this.simulation = simulation;
+        this.tornadoPaths = options.tornadoPaths || {};
+        this.actions = { ...SCENARIO_ACTIONS };
+
+        // Estado inicial para restart(): el de la escena al empezar el escenario
+        this.saveSystem = new SaveSystem(simulation);
+        this.initialState = null;
+
+        this.scenario = null;
+        this.events = [];
+        this.nextIndex = 0;
+        this.startTime = 0;
+        this.unsubscribe = null;
+    }
+
+    get playing() {
+        return this.unsubscribe !== null;
+    }
+
+    /**
+     * Tiempo del escenario (segundos simulados desde play())
+     */
+    get time() {
+        return this.playing ? this.simulation.clock.time - this.startTime : 0;
+    }
+
+    /**
+     * Próximo evento a ejecutar (null si no quedan)
+     */
+    get nextEvent() {
+        return this.events[this.nextIndex] || null;
+    }
+
+    /**
+     * Agregar una acción (o sustituir una incluida)
+     * @param {string} name
+     * @param {function} run - (params, runner) => void | Promise
+     * @param {object} options
+     *   - required: string[] - Parámetros obligatorios
+     */
+    registerAction(name, run, options = {}) {
+        this.actions[name] = {
+            required: options.required || [],
+            run: (runner, params) => run(params, runner)
+        };
+    }
+
+    /**
+     * Cargar un escenario (detiene el anterior)
+     */
+    load(scenario) {
+        const required = Object.fromEntries(Object.entries(this.actions).map(([name, action]) => [name, action.required]));
+        assertValidScenario(scenario, Object.keys(this.actions), required);
+
+        this.stop();
+        this.scenario = scenario;
+        // Orden estable: los eventos con el mismo tiempo se ejecutan en el orden del archivo
+        this.events = scenario.events
+            .map((event, index) => ({ event, index }))
+            .sort((a, b) => a.event.time - b.event.time || a.index - b.index)
+            .map(({ event }) => event);
+        this.nextIndex = 0;
+        this.initialState = null;
+    }
+
+    /**
+     * Empezar el escenario desde el principio (guarda el estado actual para restart())
+     */
+    play() {
+        if (!this.scenario) {
+            throw new Error('No hay un escenario cargado');
+        }
+
+        this.stop();
+        this.initialState = this.saveSystem.serialize();
+        this.start();
+    }
+
+    /**
+     * Volver al estado en que estaba la escena al llamar a play() y empezar de nuevo
+     * @returns {Promise} Se resuelve cuando los modelos del estado inicial están cargados
+     */
+    async restart() {
+        if (!this.initialState) {
+            this.play();
+            return;
+        }
+
+        this.stop();
+        await this.saveSystem.restore(this.initialState);
+        this.start();
+    }
+
+    /**
+     * Adelantar el escenario hasta el próximo evento y ejecutarlo ya
+     * (la simulación no avanza: se acorta la espera)
+     */
+    skipToNextEvent() {
+        const event = this.nextEvent;
+        if (!this.playing || !event) return;
+
+        this.startTime = this.simulation.clock.time - event.time;
+        this.runDueEvents(this.simulation.clock.time);
+    }
+
+    stop() {
+        if (!this.playing) return;
+
+        this.unsubscribe();
+        this.unsubscribe = null;
+    }
+
+    start() {
+        const { clock } = this.simulation;
+        this.nextIndex = 0;
+        this.startTime = clock.time;
+        this.unsubscribe = clock.on('step', ({ time }) => this.runDueEvents(time));
+
+        // Los eventos en t = 0 no esperan al primer paso
+        this.runDueEvents(clock.time);
+        clock.resume();
+    }
+
+    runDueEvents(clockTime) {
+        const time = clockTime - this.startTime;
+
+        // Tolerancia para tiempos que no caen justo en un paso del reloj
+        while (this.nextEvent && this.nextEvent.time <= time + 1e-9) {
+            const index = this.nextIndex++;
+            this.execute(this.events[index], index, time);
+        }
+    }
+
+    execute(event, index, time) {
+        const { time: scheduled, action, ...params } = event;
+        try {
+            const result = this.actions[action].run(this, params);
+            // Las acciones que cargan modelos informan los fallos al terminar
+            if (result && typeof result.catch === 'function') {
+                result.catch((error) => console.error(`Escenario: falló "${action}" (t=${scheduled} s):`, error));
+            }
+        } catch (error) {
+            console.error(`Escenario: falló "${action}" (t=${scheduled} s):`, error);
+        }
+
+        this.emit('event', { event, index, time });
+        if (this.nextIndex === this.events.length) {
+            this.emit('finish', { time });
+        }
+    }
+
+    getTornado(id) {
+        const tornado = this.simulation.tornadoManager.get(id);
+        if (!tornado) {
+            throw new Error(`Tornado no encontrado: ${id}`);
+        }
+        return tornado;
+    }
+
+    getSlot(slotId) {
+        const slot = this.simulation.buildingSlots.slots[slotId];
+        if (!slot) {
+            throw new Error(`Slot no encontrado: ${slotId}`);
+        }
+        return slot;
+    }
+
+    getTornadoPath(name, mode) {
+        const factory = this.tornadoPaths[name];
+        if (!factory) {
+            throw new Error(`Trayectoria no encontrada: ${name}`);
+        }
+        return factory(mode);
+    }
+}
+
+/**
+ * Velocidad [x, 0, z] a partir de rumbo (grados) y rapidez; velocity explícita tiene prioridad
+ */
+function headingVelocity(heading, speed, velocity) {
+    if (velocity) return velocity;
+    if (heading === undefined && speed === undefined) return null;
+
+    const angle = ((heading ?? 0) * Math.PI) / 180;
+    const magnitude = speed ?? 0;
+    return [Math.cos(angle) * magnitude, 0, Math.sin(angle) * magnitude];
+}
@@ -0,0 +1,514 @@
+import { TornadoPath } from './tornado_path.js';
+import { CONSTRUCTION_CLASSES } from './construction_classes.js';
+import { COLLIDER_TYPES } from './colliders.js';
+import { WIND_MODELS } from './wind_field.js';
+import { MAX_INTENSITY } from './ef_scale.js';
+
+/**
+ * Manifiesto de escena - Describe un pueblo en JSON (sin tocar código)
+ *
+ * {
+ *   "name": "Pueblo",
+ *   "seed": 42,
+ *   "ground": { "path": "./assets/Suelo.glb", "collider": "heightfield", ... },
+ *   "buildingTypes": { "Casa": { "intact": "...", "cracked": "...", "constructionClass": "woodFrame" } },
+ *   "propTypes": { "Coche": { "path": "...", "mass": 5, "collider": "convexHull" } },
+ *   "slots": [
+ *     { "grid": { "prefix": "slot", "origin": [-34, 0.4, -37], "columns": 5, "rows": 4, "spacing": [17, 10] } },
+ *     { "id": "plaza", "position": [0, 0.4, 20], "size": 1 }
+ *   ],
+ *   "buildings": [{ "slot": "slot_0_0", "type": "Casa" }],
+ *   "props": [{ "type": "Coche", "position": [5, 3, 10] }],
+ *   "debris": { "maxBodies": 300, "maxAge": 180 },
+ *   "tornado": {
+ *     "paths": { "Spline": { "waypoints": [[-60, 0, 40], [60, 0, -70]], "interpolation": "catmullrom" } },
+ *     "intensityProfile": [{ "time": 0, "intensity": 1 }, { "time": 20, "intensity": 4 }],
+ *     "initial": [{ "position": [0, 0, 80], "intensity": 2.5, "path": "Spline", "pathMode": "pingpong" }]
+ *   }
+ * }
+ *
+ * Uso:
+ * const manifest = await loadManifest('./scenes/pueblo.json');
+ * const tornadoPaths = createTornadoPaths(manifest);
+ * const ready = buildScene(manifest, { modelLoader, placer, buildingSlots, tornadoManager });
+ */
+
+const TOP_LEVEL_KEYS = ['name', 'version', 'seed', 'ground', 'buildingTypes', 'propTypes', 'slots', 'buildings', 'props', 'debris', 'tornado'];
+// Igual que el control de intensidad de la GUI (0 - 5.9)
+const INTENSITY_LIMIT = MAX_INTENSITY + 0.9;
+const PHASES = ['formation', 'mature', 'ropeOut', 'dissipation'];
+const PATH_MODES = ['loop', 'pingpong', 'stop', 'wander'];
+const DEBRIS_KEYS = ['maxBodies', 'maxAge', 'rubbleMaxAge', 'settleTime', 'wakeWindSpeed'];
+const NUMERIC_BUILDING_KEYS = [
+    'windResistance', 'hitPoints', 'debrisMass', 'maxDebris', 'debrisFriction',
+    'debrisRestitution', 'debrisDrag', 'debrisLift', 'damageRate', 'replacementCost', 'impactResistance'
+];
+const NUMERIC_PROP_KEYS = ['impactResistance'];
+const NUMERIC_PHYSICS_KEYS = ['mass', 'scale', 'friction', 'restitution', 'dragCoefficient', 'liftCoefficient', 'heightfieldElementSize'];
+// Claves válidas de cada sección (una clave mal escrita se ignoraría en silencio)
+const PHYSICS_KEYS = ['path', 'position', 'collider', ...NUMERIC_PHYSICS_KEYS];
+const BUILDING_TYPE_KEYS = ['intact', 'cracked', 'roofLoss', 'constructionClass', 'debrisCollider', ...NUMERIC_BUILDING_KEYS];
+const PROP_TYPE_KEYS = [...PHYSICS_KEYS, ...NUMERIC_PROP_KEYS];
+const BUILDING_KEYS = ['slot', 'type'];
+const PROP_KEYS = ['type', 'position'];
+const TORNADO_KEYS = ['paths', 'intensityProfile', 'initial'];
+const PATH_KEYS = ['waypoints', 'interpolation', 'mode', 'speed', 'bounds', 'start', 'maxTurnRate', 'seed'];
+const INITIAL_TORNADO_KEYS = [
+    'id', 'seed', 'position', 'velocity', 'intensity', 'maxRadius', 'particleCount',
+    'windModel', 'phaseDurations', 'path', 'pathMode'
+];
+
+/**
+ * Descargar y validar un manifiesto
+ * @param {string} url
+ * @returns {Promise<object>} El manifiesto validado
+ */
+export async function loadManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`No se pudo descargar el manifiesto ${url} (HTTP ${response.status})`);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new Error(`El manifiesto ${url} no es JSON válido: ${error.message}`);
+    }
+
+    assertValidManifest(manifest);
+    return manifest;
+}
+
+/**
+ * Lanzar un Error con todos los problemas del manifiesto (uno por línea)
+ */
+export function assertValidManifest(manifest) {
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+        throw new Error(`Manifiesto inválido:\n- ${errors.join('\n- ')}`);
+    }
+}
+
+/**
+ * Validar un manifiesto
+ * @returns {string[]} Lista de errores ("ruta: problema"); vacía si es válido
+ */
+export function validateManifest(manifest) {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+    if (!isObject(manifest)) {
+        fail('manifest', 'se esperaba un objeto');
+        return errors;
+    }
+
+    checkKeys(manifest, TOP_LEVEL_KEYS, null, fail);
+
+    // Semilla de todo lo aleatorio (partículas y tornados)
+    if (manifest.seed !== undefined) {
+        checkNumber(manifest.seed, 'seed', fail, { min: 0, max: 4294967295, integer: true });
+    }
+
+    // Suelo
+    if (manifest.ground !== undefined) {
+        if (checkObject(manifest.ground, 'ground', fail)) {
+            checkKeys(manifest.ground, PHYSICS_KEYS, 'ground', fail);
+            checkString(manifest.ground.path, 'ground.path', fail);
+            checkPhysicsOptions(manifest.ground, 'ground', fail);
+        }
+    }
+
+    // Tipos de edificio
+    const buildingTypes = manifest.buildingTypes ?? {};
+    if (checkObject(buildingTypes, 'buildingTypes', fail)) {
+        Object.entries(buildingTypes).forEach(([name, config]) => {
+            const path = `buildingTypes.${name}`;
+            if (!checkObject(config, path, fail)) return;
+
+            checkKeys(config, BUILDING_TYPE_KEYS, path, fail);
+            checkString(config.intact, `${path}.intact`, fail);
+            checkString(config.cracked, `${path}.cracked`, fail);
+            if (config.roofLoss !== undefined) checkString(config.roofLoss, `${path}.roofLoss`, fail);
+            if (config.constructionClass !== undefined) {
+                checkOneOf(config.constructionClass, Object.keys(CONSTRUCTION_CLASSES), `${path}.constructionClass`, fail);
+            }
+            if (config.debrisCollider !== undefined) {
+                checkOneOf(config.debrisCollider, COLLIDER_TYPES, `${path}.debrisCollider`, fail);
+            }
+            NUMERIC_BUILDING_KEYS.forEach((key) => {
+                if (config[key] !== undefined) checkNumber(config[key], `${path}.${key}`, fail, { min: 0 });
+            });
+        });
+    }
+
+    // Tipos de objeto
+    const propTypes = manifest.propTypes ?? {};
+    if (checkObject(propTypes, 'propTypes', fail)) {
+        Object.entries(propTypes).forEach(([name, config]) => {
+            const path = `propTypes.${name}`;
+            if (!checkObject(config, path, fail)) return;
+
+            checkKeys(config, PROP_TYPE_KEYS, path, fail);
+            checkString(config.path, `${path}.path`, fail);
+            checkPhysicsOptions(config, path, fail);
+            NUMERIC_PROP_KEYS.forEach((key) => {
+                if (config[key] !== undefined) checkNumber(config[key], `${path}.${key}`, fail, { min: 0 });
+            });
+        });
+    }
+
+    // Slots
+    const slotIds = new Set();
+    const slots = manifest.slots ?? [];
+    if (checkArray(slots, 'slots', fail)) {
+        slots.forEach((slot, index) => {
+            const path = `slots[${index}]`;
+            if (!checkObject(slot, path, fail)) return;
+            if (slot.size !== undefined) checkNumber(slot.size, `${path}.size`, fail, { min: 0.1 });
+
+            if (slot.grid !== undefined) {
+                const grid = slot.grid;
+                if (!checkObject(grid, `${path}.grid`, fail)) return;
+                const valid = [
+                    checkVector(grid.origin, `${path}.grid.origin`, fail, 3),
+                    checkVector(grid.spacing, `${path}.grid.spacing`, fail, 2),
+                    checkNumber(grid.columns, `${path}.grid.columns`, fail, { min: 1, integer: true }),
+                    checkNumber(grid.rows, `${path}.grid.rows`, fail, { min: 1, integer: true })
+                ].every(Boolean);
+                if (grid.prefix !== undefined) checkString(grid.prefix, `${path}.grid.prefix`, fail);
+                if (valid) {
+                    expandSlots(slot).forEach(({ id }) => addSlotId(id, path, slotIds, fail));
+                }
+            } else if (checkString(slot.id, `${path}.id`, fail)) {
+                checkVector(slot.position, `${path}.position`, fail, 3);
+                addSlotId(slot.id, path, slotIds, fail);
+            }
+        });
+    }
+
+    // Edificios iniciales
+    const buildings = manifest.buildings ?? [];
+    const usedSlots = new Set();
+    if (checkArray(buildings, 'buildings', fail)) {
+        buildings.forEach((building, index) => {
+            const path = `buildings[${index}]`;
+            if (!checkObject(building, path, fail)) return;
+            checkKeys(building, BUILDING_KEYS, path, fail);
+
+            if (checkString(building.slot, `${path}.slot`, fail)) {
+                if (!slotIds.has(building.slot)) {
+                    fail(`${path}.slot`, `el slot "${building.slot}" no existe`);
+                } else if (usedSlots.has(building.slot)) {
+                    fail(`${path}.slot`, `el slot "${building.slot}" ya tiene un edificio`);
+                }
+                usedSlots.add(building.slot);
+            }
+            if (checkString(building.type, `${path}.type`, fail) && !buildingTypes[building.type]) {
+                fail(`${path}.type`, `el tipo de edificio "${building.type}" no está en buildingTypes`);
+            }
+        });
+    }
+
+    // Objetos iniciales
+    const props = manifest.props ?? [];
+    if (checkArray(props, 'props', fail)) {
+        props.forEach((prop, index) => {
+            const path = `props[${index}]`;
+            if (!checkObject(prop, path, fail)) return;
+            checkKeys(prop, PROP_KEYS, path, fail);
+
+            if (checkString(prop.type, `${path}.type`, fail) && !propTypes[prop.type]) {
+                fail(`${path}.type`, `el tipo de objeto "${prop.type}" no está en propTypes`);
+            }
+            checkVector(prop.position, `${path}.position`, fail, 3);
+        });
+    }
+
+    // Escombros
+    if (manifest.debris !== undefined && checkObject(manifest.debris, 'debris', fail)) {
+        Object.entries(manifest.debris).forEach(([key, value]) => {
+            if (!DEBRIS_KEYS.includes(key)) {
+                fail(`debris.${key}`, `clave desconocida (válidas: ${DEBRIS_KEYS.join(', ')})`);
+            } else {
+                checkNumber(value, `debris.${key}`, fail, { min: 0 });
+            }
+        });
+    }
+
+    // Tornados
+    if (manifest.tornado !== undefined && checkObject(manifest.tornado, 'tornado', fail)) {
+        validateTornado(manifest.tornado, fail);
+    }
+
+    return errors;
+}
+
+function validateTornado(tornado, fail) {
+    checkKeys(tornado, TORNADO_KEYS, 'tornado', fail);
+
+    const paths = tornado.paths ?? {};
+    if (checkObject(paths, 'tornado.paths', fail)) {
+        Object.entries(paths).forEach(([name, options]) => {
+            const path = `tornado.paths.${name}`;
+            if (!checkObject(options, path, fail)) return;
+
+            checkKeys(options, PATH_KEYS, path, fail);
+            if (options.mode !== undefined) checkOneOf(options.mode, PATH_MODES, `${path}.mode`, fail);
+            if (options.interpolation !== undefined) {
+                checkOneOf(options.interpolation, ['linear', 'catmullrom'], `${path}.interpolation`, fail);
+            }
+            if (options.speed !== undefined) checkPositive(options.speed, `${path}.speed`, fail);
+            if (options.mode !== 'wander') {
+                if (checkArray(options.waypoints, `${path}.waypoints`, fail)) {
+                    if (options.waypoints.length < 2) fail(`${path}.waypoints`, 'se necesitan al menos 2 puntos');
+                    const vectors = options.waypoints.map((waypoint, index) => {
+                        const vector = Array.isArray(waypoint) ? waypoint : waypoint?.position;
+                        if (waypoint?.speed !== undefined) {
+                            checkPositive(waypoint.speed, `${path}.waypoints[${index}].speed`, fail);
+                        }
+                        return checkVector(vector, `${path}.waypoints[${index}]`, fail, 3) ? vector : null;
+                    });
+                    // Todos en el mismo punto: la trayectoria mide 0 y el tornado no tendría hacia dónde ir
+                    if (vectors.length >= 2 && vectors.every(Boolean) &&
+                        vectors.every((vector) => vector.every((value, axis) => value === vectors[0][axis]))) {
+                        fail(`${path}.waypoints`, 'todos los puntos coinciden (la trayectoria mide 0)');
+                    }
+                }
+            }
+        });
+    }
+
+    if (tornado.intensityProfile !== undefined && checkArray(tornado.intensityProfile, 'tornado.intensityProfile', fail)) {
+        tornado.intensityProfile.forEach((keyframe, index) => {
+            const path = `tornado.intensityProfile[${index}]`;
+            if (!checkObject(keyframe, path, fail)) return;
+            checkNumber(keyframe.time, `${path}.time`, fail, { min: 0 });
+            checkNumber(keyframe.intensity, `${path}.intensity`, fail, { min: 0, max: INTENSITY_LIMIT });
+        });
+    }
+
+    const initial = tornado.initial ?? [];
+    if (checkArray(initial, 'tornado.initial', fail)) {
+        initial.forEach((options, index) => {
+            const path = `tornado.initial[${index}]`;
+            if (!checkObject(options, path, fail)) return;
+
+            checkKeys(options, INITIAL_TORNADO_KEYS, path, fail);
+            if (options.id !== undefined) checkString(options.id, `${path}.id`, fail);
+            if (options.seed !== undefined) {
+                checkNumber(options.seed, `${path}.seed`, fail, { min: 0, max: 4294967295, integer: true });
+            }
+            if (options.position !== undefined) checkVector(options.position, `${path}.position`, fail, 3);
+            if (options.velocity !== undefined) checkVector(options.velocity, `${path}.velocity`, fail, 3);
+            if (options.intensity !== undefined) {
+                checkNumber(options.intensity, `${path}.intensity`, fail, { min: 0, max: INTENSITY_LIMIT });
+            }
+            if (options.maxRadius !== undefined) {
+                checkNumber(options.maxRadius, `${path}.maxRadius`, fail, { min: 1 });
+            }
+            if (options.particleCount !== undefined) {
+                checkNumber(options.particleCount, `${path}.particleCount`, fail, { min: 1, integer: true });
+            }
+            if (options.windModel !== undefined) {
+                checkOneOf(options.windModel, Object.keys(WIND_MODELS), `${path}.windModel`, fail);
+            }
+            if (options.phaseDurations !== undefined && checkObject(options.phaseDurations, `${path}.phaseDurations`, fail)) {
+                Object.entries(options.phaseDurations).forEach(([phase, duration]) => {
+                    if (checkOneOf(phase, PHASES, `${path}.phaseDurations`, fail)) {
+                        checkNumber(duration, `${path}.phaseDurations.${phase}`, fail, { min: 0 });
+                    }
+                });
+            }
+            if (options.path !== undefined && checkString(options.path, `${path}.path`, fail) && !paths[options.path]) {
+                fail(`${path}.path`, `la trayectoria "${options.path}" no está en tornado.paths`);
+            }
+            if (options.pathMode !== undefined) checkOneOf(options.pathMode, ['loop', 'pingpong', 'stop'], `${path}.pathMode`, fail);
+        });
+    }
+}
+
+/**
+ * Fábricas de trayectorias para la GUI de los tornados
+ * ('Velocidad constante' más una por cada entrada de tornado.paths)
+ */
+export function createTornadoPaths(manifest) {
+    const paths = { 'Velocidad constante': null };
+    Object.entries(manifest.tornado?.paths ?? {}).forEach(([name, options]) => {
+        // Las trayectorias errantes ignoran el modo elegido en la GUI
+        paths[name] = (mode) => new TornadoPath({
+            ...options,
+            mode: options.mode === 'wander' ? 'wander' : mode
+        });
+    });
+    return paths;
+}
+
+/**
+ * Lista de slots declarados (las cuadrículas se expanden a slot_i_j)
+ * @returns {object[]} { id, position, size }
+ */
+export function expandSlots(slot) {
+    const size = slot.size ?? 1;
+    if (!slot.grid) {
+        return [{ id: slot.id, position: slot.position, size }];
+    }
+
+    const { prefix = 'slot', origin, columns, rows, spacing } = slot.grid;
+    const slots = [];
+    for (let i = 0; i < columns; i++) {
+        for (let j = 0; j < rows; j++) {
+            slots.push({
+                id: `${prefix}_${i}_${j}`,
+                position: [origin[0] + i * spacing[0], origin[1], origin[2] + j * spacing[1]],
+                size
+            });
+        }
+    }
+    return slots;
+}
+
+/**
+ * Montar la escena de un manifiesto (ya validado)
+ * @param {object} manifest
+ * @param {object} systems - { modelLoader, placer, buildingSlots, tornadoManager }
+ * @returns {Promise} Se resuelve cuando el suelo, los assets y los edificios/objetos
+ *   iniciales terminaron de cargar (los fallos quedan en modelLoader.tracker)
+ */
+export function buildScene(manifest, systems) {
+    const { modelLoader, placer, buildingSlots, tornadoManager } = systems;
+
+    if (manifest.debris) {
+        Object.assign(buildingSlots.debris, manifest.debris);
+    }
+
+    if (manifest.seed !== undefined) {
+        tornadoManager.setSeed(manifest.seed);
+    }
+
+    Object.entries(manifest.buildingTypes ?? {}).forEach(([name, config]) => {
+        const { intact, cracked, roofLoss, ...options } = config;
+        buildingSlots.addBuilding(name, { intact, cracked, roofLoss }, options);
+    });
+
+    Object.entries(manifest.propTypes ?? {}).forEach(([name, config]) => {
+        const { path, ...options } = config;
+        placer.addAsset(name, path, options);
+    });
+
+    (manifest.slots ?? []).flatMap(expandSlots).forEach(({ id, position, size }) => {
+        buildingSlots.addSlot(id, position, { size });
+    });
+
+    // Precargar suelo, edificios (incluidos los modelos agrietados) y objetos para que
+    // colocarlos o dañarlos no tenga que esperar a la descarga. Se colocan después,
+    // todos desde la caché: los cuerpos entran al mundo físico siempre en el mismo
+    // orden (suelo, edificios, objetos) sin importar qué archivo terminó primero
+    const assetsReady = modelLoader.preload([
+        ...(manifest.ground ? [manifest.ground.path] : []),
+        ...buildingSlots.getAssetPaths(),
+        ...placer.getAssetPaths()
+    ]).catch(() => {}); // Los fallos ya quedan en modelLoader.tracker
+
+    const groundReady = manifest.ground
+        ? assetsReady.then(() => modelLoader.load(manifest.ground.path, { mass: 0, ...manifest.ground }))
+        : Promise.resolve();
+
+    const initialReady = assetsReady.then(() => Promise.allSettled([
+        ...(manifest.buildings ?? []).map(({ slot, type }) => buildingSlots.placeBuilding(slot, type)),
+        ...(manifest.props ?? []).map(({ type, position }) => placer.placeAssetAt(type, position))
+    ]));
+
+    const tornadoPaths = createTornadoPaths(manifest);
+    (manifest.tornado?.initial ?? []).forEach(({ path, pathMode = 'pingpong', ...options }) => {
+        tornadoManager.spawn({
+            ...options,
+            path: path ? tornadoPaths[path](pathMode) : undefined
+        });
+    });
+
+    return Promise.allSettled([groundReady, initialReady]);
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function checkObject(value, path, fail) {
+    if (isObject(value)) return true;
+    fail(path, 'se esperaba un objeto');
+    return false;
+}
+
+function checkArray(value, path, fail) {
+    if (Array.isArray(value)) return true;
+    fail(path, 'se esperaba una lista');
+    return false;
+}
+
+/**
+ * Reportar las claves que no están en la lista (path null = nivel superior)
+ */
+function checkKeys(value, keys, path, fail) {
+    Object.keys(value)
+        .filter((key) => !keys.includes(key))
+        .forEach((key) => fail(path ? `${path}.${key}` : key, `clave desconocida (válidas: ${keys.join(', ')})`));
+}
+
+function checkString(value, path, fail) {
+    if (typeof value === 'string' && value.length > 0) return true;
+    fail(path, 'se esperaba un texto no vacío');
+    return false;
+}
+
+function checkNumber(value, path, fail, { min = -Infinity, max = Infinity, integer = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        fail(path, 'se esperaba un número');
+        return false;
+    }
+    if (integer && !Number.isInteger(value)) {
+        fail(path, 'se esperaba un número entero');
+        return false;
+    }
+    if (value < min || value > max) {
+        fail(path, `fuera de rango (${min} a ${max}): ${value}`);
+        return false;
+    }
+    return true;
+}
+
+function checkPositive(value, path, fail) {
+    if (!checkNumber(value, path, fail)) return false;
+    if (value > 0) return true;
+    fail(path, `debe ser mayor que 0: ${value}`);
+    return false;
+}
+
+function checkVector(value, path, fail, length) {
+    if (Array.isArray(value) && value.length === length && value.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+        return true;
+    }
+    fail(path, `se esperaba una lista de ${length} números`);
+    return false;
+}
+
+function checkOneOf(value, options, path, fail) {
+    if (options.includes(value)) return true;
+    fail(path, `valor "${value}" no válido (válidos: ${options.join(', ')})`);
+    return false;
+}
+
+function checkPhysicsOptions(config, path, fail) {
+    NUMERIC_PHYSICS_KEYS.forEach((key) => {
+        if (config[key] !== undefined) checkNumber(config[key], `${path}.${key}`, fail, { min: 0 });
+    });
+    if (config.position !== undefined) checkVector(config.position, `${path}.position`, fail, 3);
+    if (config.collider !== undefined) checkOneOf(config.collider, COLLIDER_TYPES, `${path}.collider`, fail);
+}
+
+function addSlotId(id, path, slotIds, fail) {
+    if (slotIds.has(id)) {
+        fail(path, `slot duplicado: ${id}`);
+    }
+    slotIds.add(id);
+}
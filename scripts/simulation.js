@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { ModelLoader } from './model_loader.js';
+import { PlacementSystem } from './placement_system.js';
+import { BuildingSlots } from './building_slots.js';
+import { DebrisManager } from './debris_manager.js';
+import { TornadoManager } from './tornado_manager.js';
+import { SimulationClock } from './simulation_clock.js';
+import { SimulationEventBus } from './simulation_events.js';
+import { buildScene } from './scene_manifest.js';
+
+/**
+ * Simulation - Núcleo de la simulación (viento, física, daño y escombros)
+ *
+ * No usa renderer, cámara ni DOM: el navegador (main.js) le agrega el render,
+ * la GUI y el ratón; en Node corre igual leyendo los GLB del disco. La escena
+ * de three.js solo agrupa los modelos, no hace falta dibujarla.
+ *
+ * Todos los sistemas publican lo que pasa (daños, escombros, tornados, fallos
+ * de carga) en `events` (ver simulation_events.js).
+ *
+ * Uso en Node:
+ * const simulation = new Simulation({ assetSource: new DiskAssetSource(raiz), particles: false });
+ * await simulation.load(manifest);
+ * simulation.run(60); // 60 segundos simulados
+ */
+export class Simulation {
+    /**
+     * @param {object} options
+     *   - scene: THREE.Scene (default: una nueva, sin dibujar)
+     *   - assetSource: origen de los GLB para ModelLoader (default: descargarlos)
+     *   - tracker: LoadingTracker para ModelLoader (default: uno propio)
+     *   - templateCache: caché de modelos parseados compartida (ver createTemplateCache en model_loader.js)
+     *   - particles: boolean (default: true) - Partículas de los tornados (solo visuales)
+     *   - fixedStep: number (default: 1/60) - Segundos por paso
+     *   - tornadoOptions: object - Opciones extra para TornadoManager (gui, guiOptions...)
+     */
+    constructor(options = {}) {
+        this.scene = options.scene || new THREE.Scene();
+        this.events = new SimulationEventBus({ getTime: () => this.clock.time });
+
+        this.physicsWorld = new CANNON.World({
+            gravity: new CANNON.Vec3(0, -9.82, 0)
+        });
+
+        this.modelLoader = new ModelLoader(this.scene, this.physicsWorld, null, {
+            assetSource: options.assetSource,
+            tracker: options.tracker,
+            templateCache: options.templateCache,
+            events: this.events
+        });
+
+        // Los escombros se congelan al asentarse y hay un máximo de cuerpos vivos en toda la escena
+        this.debrisManager = new DebrisManager(this.scene, this.physicsWorld);
+        this.buildingSlots = new BuildingSlots(this.scene, this.modelLoader, this.physicsWorld, {
+            debrisManager: this.debrisManager,
+            events: this.events
+        });
+        this.placer = new PlacementSystem(this.scene, this.modelLoader, this.physicsWorld, {
+            debrisManager: this.debrisManager,
+            events: this.events
+        });
+
+        this.tornadoManager = new TornadoManager(this.scene, {
+            particles: options.particles ?? true,
+            events: this.events,
+            ...options.tornadoOptions
+        });
+
+        // Conectar los tornados al sistema de slots para aplicar fuerzas y daños
+        this.buildingSlots.setTornado(this.tornadoManager);
+
+        // Todos los sistemas avanzan el mismo dt fijo, a cualquier velocidad
+        this.clock = new SimulationClock({ fixedStep: options.fixedStep });
+        this.clock.on('step', ({ dt }) => this.step(dt));
+    }
+
+    /**
+     * Construir la escena de un manifiesto (ver scene_manifest.js)
+     * @returns {Promise} Se resuelve cuando todos los assets terminaron (los fallos quedan en el tracker)
+     */
+    load(manifest) {
+        return buildScene(manifest, {
+            modelLoader: this.modelLoader,
+            placer: this.placer,
+            buildingSlots: this.buildingSlots,
+            tornadoManager: this.tornadoManager
+        });
+    }
+
+    /**
+     * Un paso de simulación: tornados, fuerzas, física, golpes y escombros
+     */
+    step(dt) {
+        // Actualizar tornados
+        this.tornadoManager.update(dt);
+
+        // --- Aplicar fuerzas combinadas de los tornados a TODOS los modelos cargados ---
+        // (cannon borra las fuerzas en cada paso, así que se aplican antes de cada uno)
+        this.modelLoader.applyTornadoForces(this.tornadoManager, dt);
+
+        // --- Desgastar EDIFICIOS con el viento ---
+        this.buildingSlots.applyTornadoForces(dt);
+
+        // Actualizamos el mundo físico
+        this.physicsWorld.step(dt);
+
+        // Actualizar posición de modelos cargados, aplicar los golpes del paso y mover escombros
+        this.modelLoader.updateModels();
+        this.placer.update();
+        this.buildingSlots.update(dt);
+    }
+
+    /**
+     * Dejar el pueblo como antes de la tormenta: repara los edificios y devuelve
+     * los objetos colocados a su lugar (los tornados no se tocan)
+     * @returns {Promise} Se resuelve cuando todos los edificios y objetos están en su lugar
+     */
+    resetTown() {
+        return Promise.all([this.placer.resetPlaced(), this.buildingSlots.repairAll()]);
+    }
+
+    /**
+     * Avanzar un tiempo simulado de una vez (sin escala ni pausa), p. ej. en Node
+     * @param {number} seconds
+     */
+    run(seconds) {
+        const steps = Math.round(seconds / this.clock.fixedStep);
+        for (let i = 0; i < steps; i++) {
+            this.clock.advance();
+        }
+    }
+}
@@ -0,0 +1,121 @@
+import { EventEmitter } from './event_emitter.js';
+
+/**
+ * SimulationClock - Reloj central de la simulación con paso fijo
+ *
+ * Acumula el tiempo real de cada frame (multiplicado por la escala de tiempo)
+ * y lo reparte en pasos fijos. En cada paso emite 'step' y todos los sistemas
+ * (física, tornados, edificios) avanzan exactamente el mismo intervalo, sin
+ * importar los FPS ni la escala.
+ *
+ * En pausa no avanza, salvo los pasos pedidos con stepOnce() (cuadro a cuadro).
+ *
+ * Eventos:
+ * - 'step': { dt, time, stepCount } - Avanzar todos los sistemas dt segundos
+ *
+ * Uso:
+ * const simClock = new SimulationClock({ fixedStep: 1 / 60 });
+ * simClock.on('step', ({ dt }) => { world.step(dt); tornados.update(dt); });
+ * simClock.timeScale = 0.25; // Cámara lenta
+ * simClock.tick(frameDelta); // Una vez por frame
+ */
+
+export const MIN_TIME_SCALE = 0.05;
+export const MAX_TIME_SCALE = 4;
+
+export class SimulationClock extends EventEmitter {
+    /**
+     * @param {object} options
+     *   - fixedStep: number (default: 1/60) - Segundos simulados por paso
+     *   - timeScale: number (default: 1) - Entre MIN_TIME_SCALE y MAX_TIME_SCALE
+     *   - maxStepsPerFrame: number (default: 10) - Si un frame tarda demasiado, el resto se descarta
+     */
+    constructor(options = {}) {
+        super();
+
+        this.fixedStep = options.fixedStep || 1 / 60;
+        this.maxStepsPerFrame = options.maxStepsPerFrame || 10;
+        this.running = true;
+        this.time = 0;       // Segundos simulados
+        this.stepCount = 0;
+        this.accumulator = 0;
+        this.pendingSteps = 0;
+
+        this._timeScale = 1;
+        this.timeScale = options.timeScale ?? 1;
+    }
+
+    get timeScale() {
+        return this._timeScale;
+    }
+
+    set timeScale(value) {
+        this._timeScale = Math.min(Math.max(value, MIN_TIME_SCALE), MAX_TIME_SCALE);
+    }
+
+    /**
+     * Avanzar según el tiempo real transcurrido desde el último frame
+     * @param {number} frameDelta - Segundos reales
+     * @returns {number} Pasos ejecutados
+     */
+    tick(frameDelta) {
+        if (!this.running) {
+            const steps = this.pendingSteps;
+            this.pendingSteps = 0;
+            for (let i = 0; i < steps; i++) this.advance();
+            return steps;
+        }
+
+        this.accumulator += frameDelta * this._timeScale;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedStep && steps < this.maxStepsPerFrame) {
+            this.accumulator -= this.fixedStep;
+            this.advance();
+            steps++;
+        }
+
+        // Frame demasiado largo (pestaña en segundo plano, carga...): no intentar recuperarlo
+        if (steps === this.maxStepsPerFrame) {
+            this.accumulator = 0;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Pedir un único paso mientras está en pausa (se ejecuta en el próximo tick)
+     */
+    stepOnce() {
+        if (!this.running) {
+            this.pendingSteps++;
+        }
+    }
+
+    pause() {
+        this.running = false;
+    }
+
+    resume() {
+        this.running = true;
+        this.pendingSteps = 0;
+        this.accumulator = 0;
+    }
+
+    advance() {
+        this.time += this.fixedStep;
+        this.stepCount++;
+        this.emit('step', { dt: this.fixedStep, time: this.time, stepCount: this.stepCount });
+    }
+}
+
+/**
+ * Tiempo simulado como "mm:ss.cc"
+ */
+export function formatSimTime(seconds) {
+    // Redondear antes de separar: 59.999 s es "01:00.00", no "00:60.00"
+    const hundredths = Math.round(seconds * 100);
+    const minutes = Math.floor(hundredths / 6000);
+    const rest = (hundredths - minutes * 6000) / 100;
+    return `${String(minutes).padStart(2, '0')}:${rest.toFixed(2).padStart(5, '0')}`;
+}
@@ -0,0 +1,102 @@
+import { EventEmitter } from './event_emitter.js';
+
+/**
+ * SimulationEventBus - Avisos de lo que pasa en la simulación
+ *
+ * Todos los sistemas publican en el mismo bus (Simulation se lo pasa al
+ * crearlos), así el HUD, los registros, el audio o las estadísticas se
+ * suscriben sin tocar las clases. Solo acepta los eventos de
+ * SIMULATION_EVENTS: un nombre mal escrito lanza un Error en vez de no
+ * recibir nunca nada.
+ *
+ * Cada payload lleva además `event` (el nombre del evento) y `time` (segundos
+ * simulados). No se usa `type`: en los eventos de edificios es el tipo de
+ * edificio.
+ *
+ * Uso:
+ * simulation.events.on('buildingDamaged', ({ buildingId, stage, windSpeed, tornadoId }) => { ... });
+ * simulation.events.onAny((type, payload) => console.log(type, payload));
+ */
+
+/**
+ * Eventos y su payload
+ * @typedef {object} SimulationEvents
+ * @property {{ buildingId, slotId, type, position }} buildingPlaced
+ * @property {{ buildingId, slotId, type, stage, previousStage, windSpeed, tornadoId, hitPoints, cause }} buildingDamaged
+ *   - windSpeed (m/s) del último paso y tornadoId del último tornado que lo dañó (null si ninguno)
+ *   - cause: 'wind', 'impact' (lo golpeó un escombro u objeto) o null (daño directo)
+ * @property {{ buildingId, slotId, type, previousStage }} buildingRepaired - Volvió a estar intacto
+ * @property {{ buildingId, slotId }} buildingDemolished
+ * @property {{ buildingId, slotId, type, count }} debrisSpawned - Un edificio colapsó en `count` pedazos
+ * @property {{ name, position, modelData }} propPlaced
+ * @property {{ id, name, position, impulse, count }} propBroken - Un golpe de `impulse` N·s lo rompió en `count` pedazos
+ * @property {{ path, error }} assetLoadFailed - No se pudo descargar, parsear o crear la física de un asset
+ * @property {{ tornado, tornadoId }} tornadoSpawned
+ * @property {{ tornado, tornadoId }} tornadoRemoved
+ * @property {{ tornado, tornadoId, phase, previousPhase }} tornadoPhaseChanged
+ * @property {{ tornado, tornadoId, position, velocity }} tornadoMoved - En cada paso, por cada tornado
+ *   (position y velocity son los Vector3 del tornado: copiarlos si se guardan)
+ * @property {{ id }} destructibleDestroyed
+ * @property {{ id }} destructibleRepaired
+ */
+export const SIMULATION_EVENTS = [
+    'buildingPlaced',
+    'buildingDamaged',
+    'buildingRepaired',
+    'buildingDemolished',
+    'debrisSpawned',
+    'propPlaced',
+    'propBroken',
+    'assetLoadFailed',
+    'tornadoSpawned',
+    'tornadoRemoved',
+    'tornadoPhaseChanged',
+    'tornadoMoved',
+    'destructibleDestroyed',
+    'destructibleRepaired'
+];
+
+export class SimulationEventBus extends EventEmitter {
+    /**
+     * @param {object} options
+     *   - getTime: function - Tiempo simulado para el campo `time` (default: 0)
+     */
+    constructor(options = {}) {
+        super();
+        this.getTime = options.getTime || (() => 0);
+        this.anyListeners = [];
+    }
+
+    on(event, callback) {
+        assertKnownEvent(event);
+        return super.on(event, callback);
+    }
+
+    /**
+     * Suscribirse a todos los eventos: callback(type, payload)
+     */
+    onAny(callback) {
+        this.anyListeners.push(callback);
+        return () => {
+            const index = this.anyListeners.indexOf(callback);
+            if (index > -1) this.anyListeners.splice(index, 1);
+        };
+    }
+
+    emit(event, payload = {}) {
+        assertKnownEvent(event);
+
+        // Sin suscriptores no se arma el payload (tornadoMoved se emite en cada paso)
+        if (!this.listeners[event]?.length && this.anyListeners.length === 0) return;
+
+        const message = { ...payload, event, time: this.getTime() };
+        super.emit(event, message);
+        this.anyListeners.slice().forEach((callback) => callback(event, message));
+    }
+}
+
+function assertKnownEvent(event) {
+    if (!SIMULATION_EVENTS.includes(event)) {
+        throw new Error(`Evento de simulación desconocido: ${event} (válidos: ${SIMULATION_EVENTS.join(', ')})`);
+    }
+}
@@ -1,50 +1,115 @@
 import * as THREE from "three";
-
-export class Tornado {
+import { kmhToMs, levelForIntensity, windSpeedForIntensity } from "./ef_scale.js";
+import { WIND_MODELS, sampleVortexWind, windForce } from "./wind_field.js";
+import { EventEmitter } from "./event_emitter.js";
+import { TornadoPath } from "./tornado_path.js";
+import { createRandom } from "./random.js";
+
+// Velocidad de referencia: a 200 km/h se obtiene el giro original de las partículas
+const REFERENCE_WIND_KMH = 200;
+
+// Fases del ciclo de vida, en orden
+export const TORNADO_PHASES = ["formation", "mature", "ropeOut", "dissipation", "dissipated"];
+
+/**
+ * Tornado - Embudo de partículas con fuerzas, intensidad EF y ciclo de vida
+ *
+ * Eventos:
+ * - 'phaseChange': { tornado, phase, previousPhase, time }
+ */
+export class Tornado extends EventEmitter {
   particleCount = 10000;
   maxHeight = 50;
   maxRadius = 30;
   coreRadius = 5.0;
+  // Radio fijo del embudo (null = lo deriva la intensidad)
+  maxRadiusOverride = null;
   position = new THREE.Vector3(0, 0, 80); 
   velocity = new THREE.Vector3(0, 0, 0); 
-  tornadoForceStrength = 1500; 
 
-  constructor(scene) {
+  // Campo de viento: 'rankine' | 'burgersRott' | 'fujita'
+  windModel = "burgersRott";
+  inflowDepth = 6; // Espesor de la capa de entrada cerca del suelo
+
+  // Intensidad EF continua (2.5 = EF2 a mitad de rango)
+  intensity = 2.5;
+  efRating = "EF2";
+  windSpeedKmh = 0;
+  spinFactor = 1;
+
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object} options
+   *   - seed: número (default: 1) - Semilla de las partículas (misma semilla, mismo embudo)
+   *   - particles: boolean (default: true) - Sin partículas (simulación sin render) el
+   *     viento, la trayectoria y el ciclo de vida funcionan igual
+   */
+  constructor(scene, options = {}) {
+    super();
     this.scene = scene;
+    this.particlesEnabled = options.particles ?? true;
+    this.seed = options.seed ?? 1;
+    this.random = createRandom(this.seed);
+
+    // Evolución de la intensidad en el tiempo: [{ time, intensity }]
+    this.intensityProfile = null;
+    this.intensityProfileStart = 0;
+    this.windParams = {};
+    this.setIntensity(this.intensity);
 
     // Tiempos
     this.time = 0;
-    this.formationTime = 0; // Empezamos en 0
-    this.formationDuration = 0.01; // Tardará 4 segundos en crecer por completo
+
+    // Ciclo de vida: duración de cada fase en segundos (Infinity = fase permanente)
+    this.phaseDurations = {
+      formation: 4,
+      mature: 60,
+      ropeOut: 10,
+      dissipation: 5,
+    };
+    this.phase = "formation";
+    this.phaseTime = 0;
+    // Escalas que aplica la fase actual a la forma, la fuerza y las partículas
+    this.phaseScale = { height: 0, radius: 0.3, force: 0, opacity: 0, lift: 0, chaos: 1 };
+    this.updatePhaseScale();
+
+    // Trayectoria (null = velocidad constante)
+    this.path = null;
 
     // Generar partículas
     this.createGeometryAndMesh();
   }
 
   createGeometryAndMesh() {
+    if (!this.particlesEnabled) {
+      this.particles = [];
+      this.mesh = null;
+      return;
+    }
+
     const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(this.particleCount * 3);
     
     this.particles = [];
 
     for (let i = 0; i < this.particleCount; i++) {
-      const randomHeight = Math.pow(Math.random(), 1.5) * this.maxHeight;
+      const randomHeight = Math.pow(this.random(), 1.5) * this.maxHeight;
       
       const particle = {
-        angle: Math.random() * 2 * Math.PI,
+        angle: this.random() * 2 * Math.PI,
         height: randomHeight, // Usamos la altura aleatoria, no 0
-        targetRadiusFactor: 0.7 + Math.random() * 0.3,
-        spinSpeed: 2.0 + Math.random() * 2.5,
-        upwardSpeed: 3.0 + Math.random() * 3.0, 
-        phase: Math.random() * Math.PI * 2,
-        turbulenceOffset: Math.random() * 10,
-        radialOscillation: Math.random() * 0.5,
-        radialPhase: Math.random() * Math.PI * 2,
-        chaosInitial: Math.random() * 5,
+        targetRadiusFactor: 0.7 + this.random() * 0.3,
+        spinSpeed: 2.0 + this.random() * 2.5,
+        upwardSpeed: 3.0 + this.random() * 3.0, 
+        phase: this.random() * Math.PI * 2,
+        turbulenceOffset: this.random() * 10,
+        radialOscillation: this.random() * 0.5,
+        radialPhase: this.random() * Math.PI * 2,
+        chaosInitial: this.random() * 5,
         chaosFactor: 2.0,
-        chaosXFactor: Math.random() - 0.5,
-        chaosZFactor: Math.random() - 0.5,
-        chaosYFactor: Math.random() - 0.5
+        chaosXFactor: this.random() - 0.5,
+        chaosZFactor: this.random() - 0.5,
+        chaosYFactor: this.random() - 0.5
       };
 
       this.particles.push(particle);
@@ -53,8 +118,8 @@ export class Tornado {
       const y = particle.height; 
       const baseRadius = this.calculateMaxRadius(y);
       
-      const initialChaosX = (Math.random() - 0.5) * particle.chaosInitial;
-      const initialChaosZ = (Math.random() - 0.5) * particle.chaosInitial;
+      const initialChaosX = (this.random() - 0.5) * particle.chaosInitial;
+      const initialChaosZ = (this.random() - 0.5) * particle.chaosInitial;
       
       const radius = baseRadius * particle.targetRadiusFactor;
       const x = radius * Math.cos(particle.angle) + initialChaosX;
@@ -80,12 +145,154 @@ export class Tornado {
     this.geometry = geometry;
     
     this.scene.add(this.mesh);
+    this.updatePhaseScale();
+  }
+
+  /**
+   * Fijar la intensidad EF (0 - 5.9). Deriva el viento máximo, el ancho del embudo
+   * y la velocidad de giro de las partículas.
+   */
+  setIntensity(intensity) {
+    this.intensity = intensity;
+
+    const level = levelForIntensity(intensity);
+    const windSpeed = windSpeedForIntensity(intensity);
+    const speedRatio = windSpeed / REFERENCE_WIND_KMH;
+
+    this.efRating = level.rating;
+    this.windSpeedKmh = Math.round(windSpeed);
+    this.maxRadius = this.maxRadiusOverride ?? 15 + 4 * intensity;
+    // Radio de viento máximo, dentro del embudo visible
+    this.coreRadius = this.maxRadius * 0.35;
+    this.spinFactor = speedRatio;
+  }
+
+  /**
+   * Fijar el radio del embudo sin depender de la intensidad (null = volver al derivado)
+   */
+  setMaxRadius(radius) {
+    this.maxRadiusOverride = radius;
+    this.setIntensity(this.intensity);
+  }
+
+  /**
+   * Programar cambios de intensidad en el tiempo (tiempos relativos a ahora).
+   * Entre keyframes se interpola linealmente; null desactiva la evolución.
+   * @param {array} keyframes - [{ time: 0, intensity: 1 }, { time: 30, intensity: 4 }]
+   */
+  setIntensityProfile(keyframes) {
+    this.intensityProfile = keyframes
+      ? keyframes.slice().sort((a, b) => a.time - b.time)
+      : null;
+    this.intensityProfileStart = this.time;
+  }
+
+  sampleIntensityProfile(time) {
+    const keyframes = this.intensityProfile;
+    if (time <= keyframes[0].time) return keyframes[0].intensity;
+
+    for (let i = 1; i < keyframes.length; i++) {
+      if (time <= keyframes[i].time) {
+        const a = keyframes[i - 1];
+        const b = keyframes[i];
+        const t = (time - a.time) / (b.time - a.time);
+        return a.intensity + (b.intensity - a.intensity) * t;
+      }
+    }
+    return keyframes[keyframes.length - 1].intensity;
+  }
+
+  /**
+   * Volver a empezar el ciclo de vida desde la formación
+   */
+  restartLifecycle() {
+    this.setPhase("formation");
+  }
+
+  setPhase(phase) {
+    const previousPhase = this.phase;
+    this.phase = phase;
+    this.phaseTime = 0;
+    this.updatePhaseScale();
+
+    if (phase !== previousPhase) {
+      this.emit("phaseChange", { tornado: this, phase, previousPhase, time: this.time });
+    }
+  }
+
+  isActive() {
+    return this.phase !== "dissipated";
+  }
+
+  /**
+   * Progreso [0, 1] dentro de la fase actual
+   */
+  getPhaseProgress() {
+    const duration = this.phaseDurations[this.phase];
+    if (!duration || duration === Infinity) return this.phase === "dissipated" ? 1 : 0;
+    return Math.min(this.phaseTime / duration, 1);
+  }
+
+  updateLifecycle(delta) {
+    if (this.phase === "dissipated") return;
+
+    this.phaseTime += delta;
+
+    // Puede saltarse varias fases si el delta es grande o alguna dura 0
+    while (this.phase !== "dissipated" && this.phaseTime >= this.phaseDurations[this.phase]) {
+      const overflow = this.phaseTime - this.phaseDurations[this.phase];
+      this.setPhase(TORNADO_PHASES[TORNADO_PHASES.indexOf(this.phase) + 1]);
+      this.phaseTime = overflow;
+    }
+
+    this.updatePhaseScale();
+  }
+
+  /**
+   * Calcular las escalas de la fase actual:
+   * - formation: el embudo toca tierra y crece
+   * - mature: tamaño y fuerza completos
+   * - ropeOut: se adelgaza hasta una cuerda y pierde fuerza
+   * - dissipation: la base se levanta y las partículas se desvanecen
+   */
+  updatePhaseScale() {
+    const p = this.getPhaseProgress();
+
+    switch (this.phase) {
+      case "formation":
+        this.setPhaseScale({ height: p, radius: 0.3 + 0.7 * p, force: p, opacity: p, lift: 0, chaos: 1 - p });
+        break;
+      case "mature":
+        this.setPhaseScale({ height: 1, radius: 1, force: 1, opacity: 1, lift: 0, chaos: 0 });
+        break;
+      case "ropeOut":
+        this.setPhaseScale({ height: 1, radius: 1 - 0.75 * p, force: 1 - 0.5 * p, opacity: 1, lift: 0, chaos: 0 });
+        break;
+      case "dissipation":
+        this.setPhaseScale({ height: 1, radius: 0.25, force: 0.5 * (1 - p), opacity: 1 - p, lift: p, chaos: p });
+        break;
+      default:
+        this.setPhaseScale({ height: 1, radius: 0.25, force: 0, opacity: 0, lift: 1, chaos: 1 });
+    }
+  }
+
+  /**
+   * Fijar las escalas de forma, fuerza y partículas (las calcula updatePhaseScale;
+   * la repetición las aplica directamente desde la grabación)
+   */
+  setPhaseScale(scale) {
+    Object.assign(this.phaseScale, scale);
+
+    if (this.mesh) {
+      this.mesh.material.opacity = 0.8 * this.phaseScale.opacity;
+      this.mesh.visible = this.phaseScale.opacity > 0;
+    }
   }
 
   calculateMaxRadius(height) {
     const normalized = height / this.maxHeight;
     const profile = 0.15 + Math.pow(normalized, 0.7) * 0.85;
-    return this.maxRadius * profile;
+    return this.maxRadius * profile * this.phaseScale.radius;
   }
 
   calculateAngularVelocity(radius, maxRadiusAtHeight, baseSpeed) {
@@ -96,14 +303,35 @@ export class Tornado {
 
   update(delta) {
     this.time += delta;
-    this.formationTime += delta;
-    
-    this.position.addScaledVector(this.velocity, delta);
+    this.updateLifecycle(delta);
+
+    if (this.intensityProfile && this.intensityProfile.length > 0) {
+      const intensity = this.sampleIntensityProfile(this.time - this.intensityProfileStart);
+      if (intensity !== this.intensity) {
+        this.setIntensity(intensity);
+      }
+    }
     
-    const progress = Math.min(this.formationTime / this.formationDuration, 1.0);
-    const currentCeiling = this.maxHeight * progress;
+    if (this.path) {
+      this.path.update(delta, this.position, this.velocity);
+    } else {
+      this.position.addScaledVector(this.velocity, delta);
+    }
+
+    this.animateParticles(delta);
+  }
+
+  /**
+   * Mover las partículas del embudo alrededor de la posición actual (solo visual)
+   */
+  animateParticles(delta) {
+    if (!this.mesh || !this.mesh.visible) return;
+
+    const currentCeiling = this.maxHeight * this.phaseScale.height;
+    // Durante la disipación la base del embudo se levanta del suelo
+    const currentFloor = this.maxHeight * this.phaseScale.lift;
 
-    const globalChaosFactor = 1 - progress;
+    const globalChaosFactor = this.phaseScale.chaos;
     const positions = this.geometry.attributes.position.array;
 
     for (let i = 0; i < this.particleCount; i++) {
@@ -112,19 +340,23 @@ export class Tornado {
       p.chaosFactor = globalChaosFactor;
       p.height += p.upwardSpeed * delta;
 
+      if (p.height < currentFloor) {
+        p.height = currentFloor + this.random() * (this.maxHeight - currentFloor);
+      }
+
       if (p.height > this.maxHeight || p.height > currentCeiling) {
-        p.height = 0; 
-        p.angle = Math.random() * 2 * Math.PI;
+        p.height = currentFloor; 
+        p.angle = this.random() * 2 * Math.PI;
         // Resetear fases para que no se vea repetitivo
-        p.phase = Math.random() * Math.PI * 2;
-        p.radialPhase = Math.random() * Math.PI * 2;
+        p.phase = this.random() * Math.PI * 2;
+        p.radialPhase = this.random() * Math.PI * 2;
       }
 
       const maxRadiusAtHeight = this.calculateMaxRadius(p.height);
       const oscillation = Math.sin(this.time * 2 + p.radialPhase) * p.radialOscillation;
       const targetRadius = maxRadiusAtHeight * (p.targetRadiusFactor + oscillation * 0.1);
 
-      const angularVel = this.calculateAngularVelocity(targetRadius, maxRadiusAtHeight, p.spinSpeed);
+      const angularVel = this.calculateAngularVelocity(targetRadius, maxRadiusAtHeight, p.spinSpeed * this.spinFactor);
       p.angle += angularVel * delta;
 
       const turbStrength = 0.08;
@@ -153,6 +385,90 @@ export class Tornado {
     this.geometry.attributes.position.needsUpdate = true;
   }
 
+  /**
+   * Asignar una trayectoria (TornadoPath) o null para volver a velocidad constante
+   */
+  setPath(path) {
+    this.path = path;
+
+    if (path) {
+      path.reset();
+      path.getStartPosition(this.position);
+    } else {
+      this.velocity.set(0, 0, 0);
+    }
+  }
+
+  /**
+   * Repetir la trayectoria desde el principio
+   */
+  restartPath() {
+    if (this.path) {
+      this.setPath(this.path);
+    }
+  }
+
+  /**
+   * Estado completo como JSON (para guardar la simulación).
+   * Las fases permanentes (Infinity) se guardan como null.
+   */
+  serialize() {
+    const phaseDurations = {};
+    Object.entries(this.phaseDurations).forEach(([phase, duration]) => {
+      phaseDurations[phase] = duration === Infinity ? null : duration;
+    });
+
+    return {
+      id: this.id,
+      seed: this.seed,
+      randomState: this.random.getState(),
+      position: this.position.toArray(),
+      velocity: this.velocity.toArray(),
+      intensity: this.intensity,
+      intensityProfile: this.intensityProfile,
+      intensityProfileStart: this.intensityProfileStart,
+      windModel: this.windModel,
+      inflowDepth: this.inflowDepth,
+      maxHeight: this.maxHeight,
+      maxRadiusOverride: this.maxRadiusOverride,
+      particleCount: this.particleCount,
+      time: this.time,
+      phaseDurations,
+      phase: this.phase,
+      phaseTime: this.phaseTime,
+      path: this.path ? this.path.serialize() : null,
+    };
+  }
+
+  /**
+   * Restaurar un estado guardado con serialize() (sin emitir 'phaseChange')
+   */
+  restoreState(data) {
+    this.setParticleCount(data.particleCount);
+    this.maxHeight = data.maxHeight;
+    this.maxRadiusOverride = data.maxRadiusOverride;
+    this.windModel = data.windModel;
+    this.inflowDepth = data.inflowDepth;
+    this.setIntensity(data.intensity);
+
+    this.time = data.time;
+    this.intensityProfile = data.intensityProfile;
+    this.intensityProfileStart = data.intensityProfileStart;
+
+    Object.entries(data.phaseDurations).forEach(([phase, duration]) => {
+      this.phaseDurations[phase] = duration === null ? Infinity : duration;
+    });
+    this.phase = data.phase;
+    this.phaseTime = data.phaseTime;
+    this.updatePhaseScale();
+
+    // Sin setPath(): la trayectoria continúa donde estaba
+    this.path = data.path ? TornadoPath.deserialize(data.path) : null;
+    this.position.fromArray(data.position);
+    this.velocity.fromArray(data.velocity);
+    this.random.setState(data.randomState);
+  }
+
   setParticleCount(newCount) {
     if (newCount === this.particleCount) return; 
 
@@ -165,41 +481,65 @@ export class Tornado {
     this.particleCount = newCount;
     this.createGeometryAndMesh();
 
-    this.formationTime = 0;
     this.time = 0;
+    this.intensityProfileStart = 0;
   }
 
-  calculateForceOnObject(objectPos, mass) {
-    const force = new THREE.Vector3();
-    const torque = new THREE.Vector3();
-    
-    const tornadoCenter = this.position.clone();
-    tornadoCenter.y = objectPos.y; 
-    
-    const dirToCenter = tornadoCenter.clone().sub(objectPos);
-    const distance = dirToCenter.length();
-    
-    if (distance < this.maxRadius && distance > 0.1) {
-      dirToCenter.normalize();
-      
-      const normalizedDistance = distance / this.maxRadius;
-      const falloff = Math.pow(1 - normalizedDistance, 2);
-      
-      const baseForce = (this.tornadoForceStrength * falloff) / mass;
-      
-      force.addScaledVector(dirToCenter, baseForce * 0.7);
-      
-      const liftForce = (200 * falloff) / mass;
-      force.y += liftForce;
-      
-      const tangential = new THREE.Vector3(-dirToCenter.z, 0, dirToCenter.x);
-      force.addScaledVector(tangential, baseForce * 0.5);
-      
-      torque.y = baseForce * 1.2;
-      torque.x = Math.sin(this.time * 2) * baseForce * 0.3;
-      torque.z = Math.cos(this.time * 2) * baseForce * 0.3;
+  /**
+   * Quitar las partículas de la escena y liberar sus recursos
+   */
+  dispose() {
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.geometry.dispose();
+      this.mesh.material.dispose();
+      this.mesh = null;
     }
-    
+    this.setPath(null);
+  }
+
+  /**
+   * Velocidad del viento (m/s) que genera este tornado en una posición
+   * @param {object} position - { x, y, z } en coordenadas del mundo
+   * @param {number} time - Segundos (default: tiempo interno del tornado)
+   * @returns {THREE.Vector3}
+   */
+  sampleWind(position, time = this.time, target = new THREE.Vector3()) {
+    const scale = this.phaseScale;
+    const params = this.windParams;
+
+    params.maxWindSpeed = kmhToMs(this.windSpeedKmh) * scale.force;
+    params.coreRadius = this.coreRadius * scale.radius;
+    params.funnelHeight = this.maxHeight;
+    params.baseHeight = this.maxHeight * scale.lift;
+    params.inflowDepth = this.inflowDepth;
+    params.cutoffRadius = this.maxRadius * scale.radius * 3;
+    params.translation = this.velocity;
+
+    return sampleVortexWind(
+      WIND_MODELS[this.windModel],
+      position.x - this.position.x,
+      position.y - this.position.y,
+      position.z - this.position.z,
+      params,
+      time,
+      target
+    );
+  }
+
+  /**
+   * Fuerza del viento sobre un objeto (compatibilidad: usa sampleWind)
+   * @param {THREE.Vector3} objectPos
+   * @param {number} mass
+   * @param {object} objectVelocity - { x, y, z } (default: en reposo)
+   */
+  calculateForceOnObject(objectPos, mass, objectVelocity = { x: 0, y: 0, z: 0 }) {
+    const wind = this.sampleWind(objectPos);
+    const force = windForce(wind, objectVelocity, mass);
+
+    // Giro alrededor del eje vertical proporcional al empuje horizontal
+    const torque = new THREE.Vector3(0, Math.hypot(force.x, force.z) * 0.5, 0);
+
     return { force, torque };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,81 @@
+/**
+ * Carpeta de dat.gui con los controles de un tornado
+ *
+ * Cada tornado tiene su propia carpeta (intensidad, ciclo de vida y trayectoria).
+ *
+ * Uso:
+ * const folder = addTornadoFolder(gui, tornado, {
+ *     paths: { 'Velocidad constante': null, 'Spline': (mode) => new TornadoPath({ ... mode }) },
+ *     intensityProfile: [{ time: 0, intensity: 1 }, { time: 20, intensity: 4 }],
+ *     onRemove: () => manager.remove(tornado.id)
+ * });
+ */
+export function addTornadoFolder(gui, tornado, options = {}) {
+    const {
+        paths = { 'Velocidad constante': null },
+        intensityProfile = null,
+        onRemove = null
+    } = options;
+
+    const folder = gui.addFolder(tornado.id || 'Tornado');
+
+    // La intensidad EF determina fuerza, radio del embudo y giro
+    const intensityControl = {
+        evolving: false
+    };
+
+    folder.add(tornado, 'intensity', 0, 5.9, 0.1).name('Intensidad (EF)').listen().onChange((value) => {
+        tornado.setIntensityProfile(null);
+        intensityControl.evolving = false;
+        tornado.setIntensity(value);
+    });
+    folder.add(tornado, 'efRating').name('Rating').listen();
+    folder.add(tornado, 'windSpeedKmh').name('Viento (km/h)').listen();
+    if (intensityProfile) {
+        folder.add(intensityControl, 'evolving').name('Evolución EF').listen().onChange((evolving) => {
+            tornado.setIntensityProfile(evolving ? intensityProfile : null);
+        });
+    }
+    folder.add(tornado, 'windModel', {
+        'Rankine': 'rankine',
+        'Burgers-Rott': 'burgersRott',
+        'Multivórtice (Fujita)': 'fujita'
+    }).name('Modelo de viento');
+    folder.add(tornado, 'maxHeight', 30, 50, 10).name('Altura Máxima');
+    folder.add(tornado, 'particleCount', 200, 10000, 100).name('Partículas').onChange((value) => {
+        tornado.setParticleCount(Math.floor(value));
+    });
+    folder.add(tornado.velocity, 'x', -6, 6, 1).name('Velocidad X');
+    folder.add(tornado.velocity, 'z', -6, 6, 1).name('Velocidad Z');
+
+    // Ciclo de vida (formación, madurez, cuerda, disipación)
+    const lifecycleFolder = folder.addFolder('Ciclo de vida');
+    lifecycleFolder.add(tornado, 'phase').name('Fase').listen();
+    lifecycleFolder.add(tornado.phaseDurations, 'formation', 0.5, 30, 0.5).name('Formación (s)');
+    lifecycleFolder.add(tornado.phaseDurations, 'mature', 5, 300, 5).name('Madurez (s)');
+    lifecycleFolder.add(tornado.phaseDurations, 'ropeOut', 1, 60, 1).name('Cuerda (s)');
+    lifecycleFolder.add(tornado.phaseDurations, 'dissipation', 1, 30, 1).name('Disipación (s)');
+    lifecycleFolder.add({ restart: () => tornado.restartLifecycle() }, 'restart').name('Reiniciar ciclo');
+
+    // Trayectoria: cada tornado crea su propia instancia (las trayectorias guardan estado)
+    const pathControl = {
+        path: Object.keys(paths)[0],
+        mode: 'pingpong',
+        restart: () => tornado.restartPath()
+    };
+    const applyPath = () => {
+        const factory = paths[pathControl.path];
+        tornado.setPath(factory ? factory(pathControl.mode) : null);
+    };
+
+    const pathFolder = folder.addFolder('Trayectoria');
+    pathFolder.add(pathControl, 'path', Object.keys(paths)).name('Tipo').onChange(applyPath);
+    pathFolder.add(pathControl, 'mode', ['loop', 'pingpong', 'stop']).name('Modo').onChange(applyPath);
+    pathFolder.add(pathControl, 'restart').name('Reiniciar recorrido');
+
+    if (onRemove) {
+        folder.add({ remove: onRemove }, 'remove').name('🗑️ Eliminar tornado');
+    }
+
+    return folder;
+}
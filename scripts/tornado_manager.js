@@ -0,0 +1,302 @@
+import * as THREE from 'three';
+import { Tornado } from './tornado.js';
+import { EventEmitter } from './event_emitter.js';
+import { addTornadoFolder } from './tornado_gui.js';
+import { windForce } from './wind_field.js';
+import { createRandom } from './random.js';
+import { SimulationEventBus } from './simulation_events.js';
+
+/**
+ * TornadoManager - Varios tornados simultáneos (brotes multivórtice y satélites)
+ *
+ * Expone la misma interfaz de fuerzas que un Tornado, así que se puede pasar
+ * a ModelLoader.applyTornadoForces() y a BuildingSlots.setTornado().
+ *
+ * Eventos:
+ * - 'spawn': { tornado }
+ * - 'remove': { tornado }
+ * - 'phaseChange': { tornado, phase, previousPhase, time }
+ *
+ * Uso:
+ * const manager = new TornadoManager(scene, { gui });
+ * const principal = manager.spawn({ position: [0, 0, 80], intensity: 3 });
+ * manager.spawnSatellite(principal.id, { orbitRadius: 25, intensity: 1 });
+ */
+export class TornadoManager extends EventEmitter {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {object} options
+     *   - gui: dat.GUI - Si se indica, cada tornado tiene su propia sub-carpeta
+     *   - guiOptions: object - Opciones para addTornadoFolder (paths, intensityProfile)
+     *   - removeDissipated: boolean (default: false) - Eliminar tornados disipados
+     *   - seed: número (default: 1) - De ella salen las semillas de cada tornado
+     *   - particles: boolean (default: true) - false para simular sin render
+     *   - events: SimulationEventBus - Publica tornadoSpawned, tornadoRemoved,
+     *     tornadoPhaseChanged y tornadoMoved (default: uno propio)
+     */
+    constructor(scene, options = {}) {
+        super();
+        this.scene = scene;
+        this.gui = options.gui || null;
+        this.guiOptions = options.guiOptions || {};
+        this.removeDissipated = options.removeDissipated || false;
+        this.particles = options.particles ?? true;
+        this.events = options.events || new SimulationEventBus();
+
+        this.tornadoes = new Map(); // { id: { tornado, folder, orbit, unsubscribe } }
+        this.nextId = 1;
+        this.setSeed(options.seed ?? 1);
+    }
+
+    /**
+     * Reiniciar la secuencia de semillas de los tornados que se creen a partir de ahora
+     */
+    setSeed(seed) {
+        this.random = createRandom(seed);
+    }
+
+    /**
+     * Crear un tornado nuevo
+     * @param {object} options
+     *   - id: string (default: 'Tornado N')
+     *   - position: [x, y, z]
+     *   - velocity: [x, y, z]
+     *   - intensity: número EF (0 - 5.9)
+     *   - maxRadius: número - Radio del embudo en metros (default: según la intensidad)
+     *   - particleCount: número
+     *   - phaseDurations: { formation, mature, ropeOut, dissipation }
+     *   - windModel: 'rankine' | 'burgersRott' | 'fujita'
+     *   - path: TornadoPath
+     *   - seed: número (default: la siguiente de la semilla del manager)
+     * @returns {Tornado}
+     */
+    spawn(options = {}) {
+        const id = options.id || `Tornado ${this.nextId}`;
+        this.nextId++;
+
+        if (this.tornadoes.has(id)) {
+            throw new Error(`Ya existe un tornado con id: ${id}`);
+        }
+
+        // La semilla se toma siempre, para que los siguientes tornados no dependan de options.seed
+        const seed = Math.floor(this.random() * 4294967296);
+        const tornado = new Tornado(this.scene, { seed: options.seed ?? seed, particles: this.particles });
+        tornado.id = id;
+
+        if (options.particleCount) tornado.setParticleCount(options.particleCount);
+        if (options.intensity !== undefined) tornado.setIntensity(options.intensity);
+        if (options.maxRadius !== undefined) tornado.setMaxRadius(options.maxRadius);
+        if (options.phaseDurations) Object.assign(tornado.phaseDurations, options.phaseDurations);
+        if (options.windModel) tornado.windModel = options.windModel;
+        if (options.position) tornado.position.set(...options.position);
+        if (options.velocity) tornado.velocity.set(...options.velocity);
+        if (options.path) tornado.setPath(options.path);
+
+        const unsubscribe = tornado.on('phaseChange', (payload) => {
+            this.emit('phaseChange', payload);
+            this.events.emit('tornadoPhaseChanged', {
+                tornado,
+                tornadoId: tornado.id,
+                phase: payload.phase,
+                previousPhase: payload.previousPhase
+            });
+        });
+
+        const folder = this.gui
+            ? addTornadoFolder(this.gui, tornado, { ...this.guiOptions, onRemove: () => this.remove(id) })
+            : null;
+
+        this.tornadoes.set(id, { tornado, folder, orbit: null, unsubscribe });
+        this.emit('spawn', { tornado });
+        this.events.emit('tornadoSpawned', { tornado, tornadoId: id });
+
+        return tornado;
+    }
+
+    /**
+     * Crear un tornado satélite que orbita alrededor de otro
+     * @param {string} parentId - Tornado principal
+     * @param {object} options - Las de spawn() y además:
+     *   - orbitRadius: número (default: 20)
+     *   - orbitSpeed: número en rad/s (default: 0.4)
+     *   - orbitAngle: número en rad (default: 0)
+     */
+    spawnSatellite(parentId, options = {}) {
+        const parent = this.get(parentId);
+        if (!parent) {
+            throw new Error(`Tornado no encontrado: ${parentId}`);
+        }
+
+        const {
+            orbitRadius = 20,
+            orbitSpeed = 0.4,
+            orbitAngle = 0
+        } = options;
+
+        const tornado = this.spawn({
+            particleCount: 2000,
+            intensity: Math.max(parent.intensity - 2, 0),
+            ...options
+        });
+
+        const entry = this.tornadoes.get(tornado.id);
+        entry.orbit = { parentId, radius: orbitRadius, speed: orbitSpeed, angle: orbitAngle };
+        this.updateOrbit(entry, entry.tornado.position.clone(), 0);
+
+        return tornado;
+    }
+
+    /**
+     * Estado de todos los tornados (incluidas las órbitas de los satélites)
+     */
+    serialize() {
+        return Array.from(this.tornadoes.values()).map(({ tornado, orbit }) => ({
+            ...tornado.serialize(),
+            orbit: orbit ? { ...orbit } : null
+        }));
+    }
+
+    /**
+     * Sustituir los tornados actuales por los guardados con serialize()
+     */
+    restore(tornadoes) {
+        this.removeAll();
+
+        tornadoes.forEach((data) => {
+            const tornado = this.spawn({ id: data.id, seed: data.seed });
+            tornado.restoreState(data);
+            this.tornadoes.get(tornado.id).orbit = data.orbit ? { ...data.orbit } : null;
+        });
+
+        // Los ids automáticos continúan después del mayor restaurado
+        const numbers = tornadoes
+            .map((data) => Number(/^Tornado (\d+)$/.exec(data.id)?.[1]))
+            .filter(Number.isFinite);
+        this.nextId = Math.max(0, ...numbers) + 1;
+    }
+
+    /**
+     * Eliminar un tornado (partículas, carpeta de la GUI y suscripciones)
+     */
+    remove(id) {
+        const entry = this.tornadoes.get(id);
+        if (!entry) return;
+
+        entry.unsubscribe();
+        entry.tornado.dispose();
+        if (entry.folder) {
+            this.gui.removeFolder(entry.folder);
+        }
+
+        this.tornadoes.delete(id);
+        this.emit('remove', { tornado: entry.tornado });
+        this.events.emit('tornadoRemoved', { tornado: entry.tornado, tornadoId: id });
+    }
+
+    removeAll() {
+        Array.from(this.tornadoes.keys()).forEach((id) => this.remove(id));
+    }
+
+    get(id) {
+        return this.tornadoes.get(id)?.tornado;
+    }
+
+    /**
+     * Todos los tornados, en orden de creación
+     */
+    getAll() {
+        return Array.from(this.tornadoes.values(), (entry) => entry.tornado);
+    }
+
+    /**
+     * Tornados que no se han disipado
+     */
+    getActive() {
+        return this.getAll().filter((tornado) => tornado.isActive());
+    }
+
+    forEach(callback) {
+        this.getAll().forEach(callback);
+    }
+
+    get count() {
+        return this.tornadoes.size;
+    }
+
+    update(delta) {
+        // Los satélites se actualizan después de su tornado principal (orden de creación)
+        this.tornadoes.forEach((entry) => {
+            // La órbita reemplaza el movimiento propio del paso: la velocidad se mide desde aquí
+            const previous = entry.orbit ? entry.tornado.position.clone() : null;
+            entry.tornado.update(delta);
+            if (entry.orbit) {
+                this.updateOrbit(entry, previous, delta);
+            }
+
+            const { tornado } = entry;
+            this.events.emit('tornadoMoved', {
+                tornado,
+                tornadoId: tornado.id,
+                position: tornado.position,
+                velocity: tornado.velocity
+            });
+        });
+
+        if (this.removeDissipated) {
+            this.getAll()
+                .filter((tornado) => !tornado.isActive())
+                .forEach((tornado) => this.remove(tornado.id));
+        }
+    }
+
+    /**
+     * @param {THREE.Vector3} previous - Posición del satélite al empezar el paso
+     */
+    updateOrbit(entry, previous, delta) {
+        const parent = this.get(entry.orbit.parentId);
+        const tornado = entry.tornado;
+
+        // Si el principal desaparece, el satélite sigue libre con su última velocidad
+        if (!parent) {
+            entry.orbit = null;
+            return;
+        }
+
+        entry.orbit.angle += entry.orbit.speed * delta;
+        tornado.position.set(
+            parent.position.x + Math.cos(entry.orbit.angle) * entry.orbit.radius,
+            parent.position.y,
+            parent.position.z + Math.sin(entry.orbit.angle) * entry.orbit.radius
+        );
+
+        if (delta > 0) {
+            tornado.velocity.subVectors(tornado.position, previous).divideScalar(delta);
+        }
+    }
+
+    /**
+     * Viento combinado (suma de los campos) de todos los tornados activos
+     * @param {object} position - { x, y, z }
+     * @param {number} time - Segundos (default: tiempo interno de cada tornado)
+     */
+    sampleWind(position, time = undefined, target = new THREE.Vector3()) {
+        target.set(0, 0, 0);
+        const contribution = new THREE.Vector3();
+
+        this.getActive().forEach((tornado) => {
+            target.add(tornado.sampleWind(position, time ?? tornado.time, contribution));
+        });
+
+        return target;
+    }
+
+    /**
+     * Fuerza combinada de todos los tornados activos sobre un objeto
+     */
+    calculateForceOnObject(objectPos, mass, objectVelocity = { x: 0, y: 0, z: 0 }) {
+        const force = windForce(this.sampleWind(objectPos), objectVelocity, mass);
+        const torque = new THREE.Vector3(0, Math.hypot(force.x, force.z) * 0.5, 0);
+
+        return { force, torque };
+    }
+}
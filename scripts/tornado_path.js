@@ -0,0 +1,360 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+/**
+ * TornadoPath - Trayectoria del tornado (waypoints, spline o errante)
+ *
+ * Modos:
+ * - 'loop': al llegar al último waypoint vuelve al primero
+ * - 'pingpong': recorre la trayectoria de ida y vuelta
+ * - 'stop': se detiene en el último waypoint
+ * - 'wander': curva aleatoria dentro de unos límites (reproducible con la semilla)
+ *
+ * Uso:
+ * const path = new TornadoPath({
+ *     waypoints: [{ position: [-60, 0, 40], speed: 6 }, [0, 0, -20], [60, 0, -70]],
+ *     interpolation: 'catmullrom',
+ *     mode: 'pingpong'
+ * });
+ * tornado.setPath(path);
+ */
+export class TornadoPath {
+    /**
+     * @param {object} options
+     *   - waypoints: array de [x, y, z] o { position: [x, y, z], speed } - La velocidad
+     *     de un waypoint se usa en el segmento que empieza en él
+     *   - interpolation: 'linear' | 'catmullrom' (default: 'linear')
+     *   - mode: 'loop' | 'pingpong' | 'stop' | 'wander' (default: 'loop')
+     *   - speed: número (default: 4) - Velocidad por defecto (unidades/s)
+     *   - bounds: { minX, maxX, minZ, maxZ } - Límites del modo errante
+     *   - start: [x, y, z] - Punto de inicio del modo errante (default: centro de bounds)
+     *   - maxTurnRate: número (default: 0.6) - Giro máximo en rad/s del modo errante
+     *   - seed: número (default: 1) - Semilla del modo errante
+     */
+    constructor(options = {}) {
+        const {
+            waypoints = [],
+            interpolation = 'linear',
+            mode = 'loop',
+            speed = 4,
+            bounds = { minX: -50, maxX: 50, minZ: -50, maxZ: 50 },
+            start = null,
+            maxTurnRate = 0.6,
+            seed = 1
+        } = options;
+
+        this.interpolation = interpolation;
+        this.mode = mode;
+        this.speed = speed;
+        this.bounds = bounds;
+        this.start = start;
+        this.maxTurnRate = maxTurnRate;
+        this.seed = seed;
+
+        this.waypoints = waypoints.map((waypoint) => {
+            const position = Array.isArray(waypoint) ? waypoint : waypoint.position;
+            return {
+                position: new THREE.Vector3(...position),
+                speed: waypoint.speed ?? null
+            };
+        });
+
+        if (this.mode !== 'wander' && this.waypoints.length < 2) {
+            throw new Error('TornadoPath necesita al menos 2 waypoints');
+        }
+        // Con velocidad 0 el tornado quedaría detenido para siempre
+        [this.speed, ...this.waypoints.map((waypoint) => waypoint.speed ?? this.speed)].forEach((value) => {
+            if (!(value > 0)) {
+                throw new Error(`TornadoPath necesita velocidades mayores que 0: ${value}`);
+            }
+        });
+
+        // Tabla de longitudes de arco por segmento (velocidad uniforme dentro del segmento)
+        this.samplesPerSegment = 16;
+        this.segmentTables = [];
+        this.buildSegmentTables();
+
+        if (this.mode !== 'wander' && this.segmentTables.every((table) => table[table.length - 1] === 0)) {
+            throw new Error('TornadoPath necesita waypoints distintos (la trayectoria mide 0)');
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Vuelve al inicio de la trayectoria. El modo errante se resiembra,
+     * así que repetirá exactamente el mismo recorrido.
+     */
+    reset() {
+        this.segment = 0;
+        this.distanceInSegment = 0;
+        this.direction = 1;
+        this.finished = false;
+
+        this.random = createRandom(this.seed);
+        this.wanderPosition = this.getStartPosition(new THREE.Vector3());
+        this.heading = this.random() * Math.PI * 2;
+        this.turnRate = 0;
+    }
+
+    /**
+     * Configuración y progreso como JSON (para guardar la simulación)
+     */
+    serialize() {
+        return {
+            config: {
+                waypoints: this.waypoints.map((waypoint) => ({
+                    position: waypoint.position.toArray(),
+                    speed: waypoint.speed
+                })),
+                interpolation: this.interpolation,
+                mode: this.mode,
+                speed: this.speed,
+                bounds: { ...this.bounds },
+                start: this.start,
+                maxTurnRate: this.maxTurnRate,
+                seed: this.seed
+            },
+            state: {
+                segment: this.segment,
+                distanceInSegment: this.distanceInSegment,
+                direction: this.direction,
+                finished: this.finished,
+                randomState: this.random.getState(),
+                wanderPosition: this.wanderPosition.toArray(),
+                heading: this.heading,
+                turnRate: this.turnRate
+            }
+        };
+    }
+
+    /**
+     * Recrear una trayectoria guardada con serialize(), en el mismo punto del recorrido
+     */
+    static deserialize(data) {
+        const path = new TornadoPath(data.config);
+        const { state } = data;
+
+        path.segment = state.segment;
+        path.distanceInSegment = state.distanceInSegment;
+        path.direction = state.direction;
+        path.finished = state.finished;
+        path.random.setState(state.randomState);
+        path.wanderPosition.fromArray(state.wanderPosition);
+        path.heading = state.heading;
+        path.turnRate = state.turnRate;
+
+        return path;
+    }
+
+    /**
+     * Posición en la que empieza la trayectoria
+     */
+    getStartPosition(target = new THREE.Vector3()) {
+        if (this.mode === 'wander') {
+            if (this.start) return target.set(...this.start);
+            return target.set(
+                (this.bounds.minX + this.bounds.maxX) / 2,
+                0,
+                (this.bounds.minZ + this.bounds.maxZ) / 2
+            );
+        }
+        return target.copy(this.waypoints[0].position);
+    }
+
+    /**
+     * Avanza la trayectoria y escribe la posición y la velocidad resultantes
+     * @param {number} delta - Segundos transcurridos
+     * @param {THREE.Vector3} position - Se sobrescribe con la nueva posición
+     * @param {THREE.Vector3} velocity - Se sobrescribe con la velocidad actual
+     */
+    update(delta, position, velocity) {
+        const previous = position.clone();
+
+        if (this.mode === 'wander') {
+            this.updateWander(delta, position);
+        } else {
+            this.updateWaypoints(delta, position);
+        }
+
+        if (delta > 0) {
+            velocity.subVectors(position, previous).divideScalar(delta);
+        }
+    }
+
+    updateWaypoints(delta, position) {
+        if (this.finished) {
+            this.pointAt(this.segment, 1, position);
+            return;
+        }
+
+        let remaining = this.getSegmentSpeed(this.segment) * delta;
+        // Segmentos seguidos sin avanzar nada: si se recorre un ciclo entero así, no hay hacia dónde ir
+        let emptySegments = 0;
+        const cycle = this.segmentTables.length * 2;
+
+        while (remaining > 0) {
+            const table = this.segmentTables[this.segment];
+            const length = table[table.length - 1];
+            const toEnd = this.direction > 0 ? length - this.distanceInSegment : this.distanceInSegment;
+
+            if (remaining < toEnd) {
+                this.distanceInSegment += remaining * this.direction;
+                break;
+            }
+
+            remaining -= toEnd;
+            emptySegments = toEnd > 0 ? 0 : emptySegments + 1;
+            if (emptySegments > cycle || !this.advanceSegment()) {
+                break;
+            }
+        }
+
+        const table = this.segmentTables[this.segment];
+        this.pointAt(this.segment, this.distanceToT(table, this.distanceInSegment), position);
+    }
+
+    /**
+     * Pasa al siguiente segmento según el modo. Devuelve false si la trayectoria terminó.
+     */
+    advanceSegment() {
+        const segmentCount = this.segmentTables.length;
+        const next = this.segment + this.direction;
+
+        if (next >= 0 && next < segmentCount) {
+            this.segment = next;
+            this.distanceInSegment = this.direction > 0 ? 0 : this.getSegmentLength(next);
+            return true;
+        }
+
+        if (this.mode === 'loop') {
+            this.segment = 0;
+            this.distanceInSegment = 0;
+            return true;
+        }
+
+        if (this.mode === 'pingpong') {
+            this.direction *= -1;
+            this.distanceInSegment = this.direction > 0 ? 0 : this.getSegmentLength(this.segment);
+            return true;
+        }
+
+        // 'stop': quedarse en el último waypoint
+        this.distanceInSegment = this.getSegmentLength(this.segment);
+        this.finished = true;
+        return false;
+    }
+
+    updateWander(delta, position) {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+
+        // Cambios de giro suaves: el giro actual deriva aleatoriamente
+        this.turnRate += (this.random() - 0.5) * this.maxTurnRate * 2 * delta;
+        this.turnRate = THREE.MathUtils.clamp(this.turnRate, -this.maxTurnRate, this.maxTurnRate);
+
+        // Cerca de los bordes, girar hacia el centro para no salir de los límites
+        const marginX = (maxX - minX) * 0.15;
+        const marginZ = (maxZ - minZ) * 0.15;
+        const p = this.wanderPosition;
+        const nearEdge = p.x < minX + marginX || p.x > maxX - marginX ||
+            p.z < minZ + marginZ || p.z > maxZ - marginZ;
+
+        if (nearEdge) {
+            const toCenter = Math.atan2((minZ + maxZ) / 2 - p.z, (minX + maxX) / 2 - p.x);
+            const diff = Math.atan2(Math.sin(toCenter - this.heading), Math.cos(toCenter - this.heading));
+            this.turnRate = THREE.MathUtils.clamp(diff, -this.maxTurnRate, this.maxTurnRate);
+        }
+
+        this.heading += this.turnRate * delta;
+
+        p.x = THREE.MathUtils.clamp(p.x + Math.cos(this.heading) * this.speed * delta, minX, maxX);
+        p.z = THREE.MathUtils.clamp(p.z + Math.sin(this.heading) * this.speed * delta, minZ, maxZ);
+
+        position.copy(p);
+    }
+
+    getSegmentSpeed(segment) {
+        const index = this.direction > 0 ? segment : (segment + 1) % this.waypoints.length;
+        return this.waypoints[index].speed ?? this.speed;
+    }
+
+    getSegmentLength(segment) {
+        const table = this.segmentTables[segment];
+        return table[table.length - 1];
+    }
+
+    buildSegmentTables() {
+        if (this.mode === 'wander') return;
+
+        const segmentCount = this.mode === 'loop' ? this.waypoints.length : this.waypoints.length - 1;
+        const previous = new THREE.Vector3();
+        const current = new THREE.Vector3();
+
+        for (let segment = 0; segment < segmentCount; segment++) {
+            const table = [0];
+            this.pointAt(segment, 0, previous);
+
+            for (let i = 1; i <= this.samplesPerSegment; i++) {
+                this.pointAt(segment, i / this.samplesPerSegment, current);
+                table.push(table[i - 1] + current.distanceTo(previous));
+                previous.copy(current);
+            }
+
+            this.segmentTables.push(table);
+        }
+    }
+
+    /**
+     * Convierte una distancia recorrida dentro del segmento en el parámetro t [0, 1]
+     */
+    distanceToT(table, distance) {
+        const samples = table.length - 1;
+        for (let i = 1; i <= samples; i++) {
+            if (distance <= table[i]) {
+                const span = table[i] - table[i - 1];
+                const local = span > 0 ? (distance - table[i - 1]) / span : 0;
+                return (i - 1 + local) / samples;
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * Punto del segmento en el parámetro t (lineal o Catmull-Rom)
+     */
+    pointAt(segment, t, target) {
+        const count = this.waypoints.length;
+        const wrap = this.mode === 'loop';
+        const get = (index) => {
+            if (wrap) return this.waypoints[(index + count) % count].position;
+            return this.waypoints[THREE.MathUtils.clamp(index, 0, count - 1)].position;
+        };
+
+        const p1 = get(segment);
+        const p2 = get(segment + 1);
+
+        if (this.interpolation !== 'catmullrom') {
+            return target.lerpVectors(p1, p2, t);
+        }
+
+        const p0 = get(segment - 1);
+        const p3 = get(segment + 2);
+        const t2 = t * t;
+        const t3 = t2 * t;
+
+        return target.set(
+            catmullRom(p0.x, p1.x, p2.x, p3.x, t, t2, t3),
+            catmullRom(p0.y, p1.y, p2.y, p3.y, t, t2, t3),
+            catmullRom(p0.z, p1.z, p2.z, p3.z, t, t2, t3)
+        );
+    }
+}
+
+function catmullRom(p0, p1, p2, p3, t, t2, t3) {
+    return 0.5 * (
+        2 * p1 +
+        (p2 - p0) * t +
+        (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+        (3 * p1 - p0 - 3 * p2 + p3) * t3
+    );
+}
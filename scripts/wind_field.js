@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+
+/**
+ * Campo de viento de un tornado
+ *
+ * Cada modelo de vórtice define el perfil tangencial (normalizado a 1 en el radio
+ * de viento máximo). sampleVortexWind() añade el perfil vertical común:
+ * - Capa límite: el viento crece con la altura cerca del suelo
+ * - Capa de entrada (inflow): flujo radial hacia el centro en los primeros metros
+ * - Corriente ascendente en el núcleo
+ * - Decaimiento por encima de la altura del embudo
+ *
+ * Convención: 1 unidad = 1 metro, velocidades en m/s, giro antihorario visto desde arriba.
+ *
+ * Uso:
+ * const wind = sampleVortexWind(WIND_MODELS.burgersRott, dx, y, dz, params, time);
+ */
+
+/**
+ * Vórtice de Rankine: rotación sólida en el núcleo y potencial (1/r) fuera
+ */
+export class RankineVortex {
+    tangentialProfile(r, coreRadius) {
+        if (r < coreRadius) return r / coreRadius;
+        return coreRadius / r;
+    }
+
+    addSecondary() {}
+}
+
+/**
+ * Vórtice de Burgers-Rott: núcleo viscoso con transición suave
+ * (1.398 normaliza el máximo a 1 en r = coreRadius)
+ */
+export class BurgersRottVortex {
+    tangentialProfile(r, coreRadius) {
+        if (r < 1e-6) return 0;
+        const x = r / coreRadius;
+        return 1.398 * (1 - Math.exp(-1.256 * x * x)) / x;
+    }
+
+    addSecondary() {}
+}
+
+/**
+ * Multivórtice de Fujita: un vórtice principal de Burgers-Rott más varios
+ * vórtices de succión que orbitan alrededor del radio de viento máximo
+ */
+export class FujitaMultiVortex {
+    constructor(options = {}) {
+        const {
+            vortexCount = 4,
+            mainStrength = 0.7,
+            suctionStrength = 0.5,
+            suctionRadius = 0.25 // Fracción del radio del núcleo
+        } = options;
+
+        this.vortexCount = vortexCount;
+        this.mainStrength = mainStrength;
+        this.suctionStrength = suctionStrength;
+        this.suctionRadius = suctionRadius;
+        this.main = new BurgersRottVortex();
+    }
+
+    tangentialProfile(r, coreRadius) {
+        return this.main.tangentialProfile(r, coreRadius) * this.mainStrength;
+    }
+
+    /**
+     * Sumar el viento de los vórtices de succión (solo componente horizontal)
+     */
+    addSecondary(dx, dz, params, time, scale, target) {
+        const { coreRadius, maxWindSpeed } = params;
+        const orbitSpeed = (maxWindSpeed * 0.5) / coreRadius;
+        const radius = coreRadius * this.suctionRadius;
+
+        for (let i = 0; i < this.vortexCount; i++) {
+            const angle = orbitSpeed * time + (i / this.vortexCount) * Math.PI * 2;
+            const sx = dx - Math.cos(angle) * coreRadius;
+            const sz = dz - Math.sin(angle) * coreRadius;
+            const r = Math.hypot(sx, sz);
+            if (r < 1e-6) continue;
+
+            const speed = maxWindSpeed * this.suctionStrength * scale * (r < radius ? r / radius : radius / r);
+            target.x += (-sz / r) * speed;
+            target.z += (sx / r) * speed;
+        }
+    }
+}
+
+export const WIND_MODELS = {
+    rankine: new RankineVortex(),
+    burgersRott: new BurgersRottVortex(),
+    fujita: new FujitaMultiVortex()
+};
+
+/**
+ * Velocidad del viento de un vórtice en coordenadas relativas a su centro
+ * @param {object} model - Entrada de WIND_MODELS
+ * @param {number} dx - Distancia en X al eje del vórtice
+ * @param {number} y - Altura sobre la base del vórtice
+ * @param {number} dz - Distancia en Z al eje del vórtice
+ * @param {object} params
+ *   - maxWindSpeed: m/s en el radio de viento máximo
+ *   - coreRadius: radio de viento máximo
+ *   - funnelHeight: altura del embudo (por encima el viento decae)
+ *   - baseHeight: altura de la base del embudo (> 0 cuando se levanta del suelo)
+ *   - inflowDepth: espesor de la capa de entrada
+ *   - inflowRatio: relación viento radial / tangencial en el suelo
+ *   - updraftRatio: relación corriente ascendente / viento máximo
+ *   - cutoffRadius: a partir de aquí el vórtice no tiene efecto
+ *   - translation: THREE.Vector3 - Velocidad de traslación del vórtice
+ * @param {number} time - Segundos (anima los vórtices de succión)
+ * @param {THREE.Vector3} target - Vector donde escribir el resultado
+ */
+export function sampleVortexWind(model, dx, y, dz, params, time, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+
+    const {
+        maxWindSpeed,
+        coreRadius,
+        funnelHeight,
+        baseHeight = 0,
+        inflowDepth = 6,
+        inflowRatio = 0.6,
+        updraftRatio = 0.6,
+        cutoffRadius = Infinity,
+        translation = null
+    } = params;
+
+    const r = Math.hypot(dx, dz);
+    if (maxWindSpeed <= 0 || coreRadius <= 0 || r >= cutoffRadius) return target;
+
+    // Atenuación suave en el último cuarto del radio de corte
+    const fadeStart = cutoffRadius * 0.75;
+    const cutoff = r > fadeStart ? 1 - (r - fadeStart) / (cutoffRadius - fadeStart) : 1;
+
+    // Perfil vertical
+    const z = Math.max(y, 0);
+    const groundFactor = z < inflowDepth ? Math.pow(Math.max(z, 0.5) / inflowDepth, 1 / 7) : 1;
+    const topFactor = z > funnelHeight ? Math.exp(-(z - funnelHeight) / (funnelHeight * 0.25)) : 1;
+    const baseFactor = z < baseHeight ? Math.exp(-(baseHeight - z) / (funnelHeight * 0.1)) : 1;
+    const scale = cutoff * topFactor * baseFactor;
+
+    const profile = model.tangentialProfile(r, coreRadius);
+    const tangential = maxWindSpeed * profile * groundFactor * scale;
+
+    // Capa de entrada: flujo hacia el centro que desaparece con la altura
+    const inflow = z < inflowDepth ? inflowRatio * (1 - z / inflowDepth) : 0;
+    const radial = -maxWindSpeed * profile * inflow * scale;
+
+    // Corriente ascendente en el núcleo, creciendo a través de la capa de entrada
+    const normalized = r / coreRadius;
+    const updraft = maxWindSpeed * updraftRatio * Math.exp(-normalized * normalized) *
+        Math.min(z / inflowDepth + 0.5, 1) * scale;
+
+    if (r > 1e-6) {
+        const rx = dx / r;
+        const rz = dz / r;
+        target.x = rx * radial - rz * tangential;
+        target.z = rz * radial + rx * tangential;
+    }
+    target.y = updraft;
+
+    model.addSecondary(dx, dz, params, time, scale, target);
+
+    if (translation) {
+        target.addScaledVector(translation, cutoff);
+    }
+
+    return target;
+}
+
+// Tasa de respuesta (1/s): un objeto tiende a la velocidad del viento con
+// constante de tiempo 1 / WIND_RESPONSE_RATE
+export const WIND_RESPONSE_RATE = 0.6;
+
+/**
+ * Fuerza que el viento ejerce sobre un cuerpo según su velocidad relativa
+ * @param {THREE.Vector3} wind - Viento en la posición del cuerpo
+ * @param {object} velocity - Velocidad del cuerpo ({ x, y, z })
+ * @param {number} mass - Masa del cuerpo
+ */
+export function windForce(wind, velocity, mass, target = new THREE.Vector3()) {
+    if (wind.x === 0 && wind.y === 0 && wind.z === 0) {
+        return target.set(0, 0, 0);
+    }
+
+    return target.set(
+        wind.x - velocity.x,
+        wind.y - velocity.y,
+        wind.z - velocity.z
+    ).multiplyScalar(WIND_RESPONSE_RATE * mass);
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { DiskAssetSource } from '../scripts/disk_asset_source.js';
+import { createRandom } from '../scripts/random.js';
+import { DEFAULT_EXPERIMENT, runExperiment, runsToCSV, sampleTrack, slotsToCSV, summarizeSlots } from '../scripts/batch_experiment.js';
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const pueblo = JSON.parse(readFileSync(new URL('../scenes/pueblo.json', import.meta.url), 'utf8'));
+
+test('sampleTrack sortea dentro de los rangos y se repite con la misma semilla', () => {
+    const config = { ...DEFAULT_EXPERIMENT, intensity: [2, 3], width: [40, 50], speed: [5, 6], heading: [90, 90], offset: 0 };
+    const a = sampleTrack(createRandom(9), config, [10, 20]);
+    const b = sampleTrack(createRandom(9), config, [10, 20]);
+
+    assert.deepEqual(a, b);
+    assert.ok(a.intensity >= 2 && a.intensity <= 3);
+    assert.ok(a.width >= 40 && a.width <= 50);
+    // Rumbo 90° (+Z) sin desvío: parte startDistance metros antes del centro
+    assert.ok(Math.abs(a.start[0] - 10) < 1e-9);
+    assert.ok(Math.abs(a.start[2] - (20 - config.startDistance)) < 1e-9);
+    assert.ok(Math.abs(a.velocity[2] - a.speed) < 1e-9);
+});
+
+test('summarizeSlots calcula las probabilidades por slot', () => {
+    const building = (stage, extra = {}) => ({
+        slotId: 'slot_0_0', type: 'Casa', stage, firstDamageTime: null, peakWindSpeed: 20, debrisDistance: null, ...extra
+    });
+    const runs = [
+        { buildings: [building('intact')] },
+        { buildings: [building('cracked', { firstDamageTime: 4 })] },
+        { buildings: [building('collapsed', { firstDamageTime: 2, debrisDistance: 30 })] },
+        { buildings: [building('collapsed', { firstDamageTime: 6, debrisDistance: 50 })] }
+    ];
+
+    const [slot] = summarizeSlots(runs);
+    assert.equal(slot.runs, 4);
+    assert.equal(slot.damageProbability, 0.75);
+    assert.equal(slot.collapseProbability, 0.5);
+    assert.equal(slot.meanFirstDamageTime, 4);
+    assert.equal(slot.meanDebrisDistance, 40);
+    assert.equal(slot.maxDebrisDistance, 50);
+    assert.equal(slot.intact, 1);
+    assert.equal(slot.collapsed, 2);
+});
+
+test('un experimento con la misma semilla da resultados idénticos', async () => {
+    // Tornados fuertes y lentos que pasan sobre el pueblo: hay derrumbes y escombros
+    const experiment = {
+        runs: 2,
+        seed: 3,
+        duration: 15,
+        intensity: [5, 5.5],
+        speed: [2, 3],
+        offset: 0,
+        startDistance: 15,
+        buildings: [{ slot: 'slot_1_1', type: 'Casa' }, { slot: 'slot_2_2', type: 'Edificio 1' }]
+    };
+    const run = () => runExperiment(pueblo, experiment, { assetSource: new DiskAssetSource(ROOT_DIR) });
+
+    const first = await run();
+    const second = await run();
+
+    assert.equal(first.runs.length, 2);
+    assert.ok(first.runs.every((result) => result.buildings.length === 2));
+    assert.equal(runsToCSV(second.runs), runsToCSV(first.runs));
+    assert.equal(slotsToCSV(second.slots), slotsToCSV(first.slots));
+});
+
+test('un pueblo sin edificios no se puede simular', async () => {
+    await assert.rejects(
+        runExperiment({ ...pueblo, buildings: [] }, { runs: 1 }),
+        /El pueblo no tiene edificios/
+    );
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCSV } from '../scripts/csv.js';
+
+test('números con 3 decimales, enteros tal cual y celdas vacías sin valor', () => {
+    assert.equal(toCSV(['a', 'b', 'c', 'd'], [[1, 2.34567, null, undefined]]), 'a,b,c,d\n1,2.346,,\n');
+});
+
+test('el texto con comas, comillas o saltos de línea va entre comillas', () => {
+    assert.equal(
+        toCSV(['tipo'], [['Casa, 2 pisos'], ['Edificio "A"'], ['dos\nlíneas'], ['Casa']]),
+        'tipo\n"Casa, 2 pisos"\n"Edificio ""A"""\n"dos\nlíneas"\nCasa\n'
+    );
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeReplay, encodeReplay, replayFromJSON, replayToJSON } from '../scripts/replay_format.js';
+import { REPLAY_VERSION, VALUE_PRECISION } from '../scripts/replay_recorder.js';
+
+// Igual que ReplayRecorder: los valores se graban redondeados a 1/VALUE_PRECISION
+const round = (value) => Math.round(value * VALUE_PRECISION) / VALUE_PRECISION;
+
+function createRecording() {
+    const model = { id: 1, kind: 'model', path: './assets/casa_0.glb', startFrame: 0, endFrame: null, frames: [0], values: [-34, 0.4, -37, 0, 0, 0, 1] };
+    const debris = { id: 2, kind: 'debris', owner: 'building_1', startFrame: 3, endFrame: 250, frames: [], values: [] };
+    for (let frame = 3; frame < 250; frame += frame % 7 === 0 ? 5 : 1) {
+        debris.frames.push(frame);
+        debris.values.push(
+            round(frame * 0.123456),
+            round(Math.sin(frame) * 100),
+            -1234.5678,
+            round(Math.cos(frame / 10)), 0, round(Math.sin(frame / 10)), 0
+        );
+    }
+    const tornado = {
+        id: 3, kind: 'tornado', tornadoId: 'Tornado 1', seed: 123456789, startFrame: 0, endFrame: 2,
+        frames: [0, 1, 2],
+        values: [
+            -90, 0, -25, 2.5, 25, 0, 0.1, 0.2, 0, 0, 0.3,
+            -89.8, 0, -25, 2.5, 25, 0.0333, 0.1333, 0.2667, 0.0333, 0.0333, 0.3333,
+            -89.6, 0, -25, 2.5001, 25, 0.0667, 0.1667, 0.3333, 0.0667, 0.0667, 0.3667
+        ]
+    };
+
+    return {
+        version: REPLAY_VERSION,
+        interval: 1 / 30,
+        duration: 8.3,
+        frameCount: 250,
+        tracks: [model, debris, tornado],
+        events: [{ time: 4.5, buildingId: 'building_1', slotId: 'slot_0_0', type: 'Casa', stage: 'collapsed' }]
+    };
+}
+
+test('el formato binario devuelve exactamente la misma grabación', () => {
+    const recording = createRecording();
+    assert.deepEqual(decodeReplay(encodeReplay(recording)), recording);
+});
+
+test('el formato binario ocupa menos que el JSON', () => {
+    const recording = createRecording();
+    assert.ok(encodeReplay(recording).byteLength < replayToJSON(recording).length);
+});
+
+test('el formato JSON devuelve la misma grabación', () => {
+    const recording = createRecording();
+    assert.deepEqual(replayFromJSON(replayToJSON(recording)), recording);
+});
+
+test('rechaza archivos ajenos, versiones desconocidas y datos incompletos', () => {
+    const buffer = encodeReplay(createRecording());
+
+    assert.throws(() => decodeReplay(new TextEncoder().encode('{"version":1}').buffer), /no es una grabación/);
+
+    const otherVersion = buffer.slice(0);
+    new DataView(otherVersion).setUint32(4, 1, true);
+    assert.throws(() => decodeReplay(otherVersion), /Versión de archivo de grabación no soportada: 1/);
+
+    assert.throws(() => decodeReplay(buffer.slice(0, buffer.byteLength - 3)), /Grabación dañada/);
+});
+
+test('rechaza grabaciones con pistas incoherentes', () => {
+    const recording = createRecording();
+    recording.tracks[0].values.pop();
+    assert.throws(() => encodeReplay(recording), /la pista 1 tiene 6 valores para 1 cuadros/);
+});
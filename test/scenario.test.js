@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SCENARIO_ACTIONS, validateScenario } from '../scripts/scenario.js';
+
+const demo = JSON.parse(readFileSync(new URL('../scenarios/demo.json', import.meta.url), 'utf8'));
+
+test('el escenario de demostración es válido con la acción de cámara del navegador', () => {
+    const actionNames = [...Object.keys(SCENARIO_ACTIONS), 'camera'];
+    assert.deepEqual(validateScenario(demo, actionNames, { camera: ['position'] }), []);
+});
+
+test('sin la acción de cámara, sus eventos se reportan', () => {
+    const errors = validateScenario(demo);
+    assert.ok(errors.length > 0);
+    assert.ok(errors.every((error) => /^events\[\d+\]\.action: acción "camera" no válida/.test(error)));
+});
+
+test('reporta tiempos inválidos y parámetros obligatorios', () => {
+    const errors = validateScenario({
+        name: 5,
+        events: [
+            { time: -1, action: 'pause' },
+            { time: 2, action: 'setTornado', intensity: 3 },
+            { time: 3, action: 'volar' },
+            'pausa'
+        ]
+    });
+
+    assert.deepEqual(errors, [
+        'name: se esperaba un texto',
+        'events[0].time: se esperaba un número mayor o igual a 0',
+        'events[1].id: obligatorio para "setTornado"',
+        `events[2].action: acción "volar" no válida (válidas: ${Object.keys(SCENARIO_ACTIONS).join(', ')})`,
+        'events[3]: se esperaba un objeto'
+    ]);
+});
+
+test('un escenario necesita una lista de eventos', () => {
+    assert.deepEqual(validateScenario([]), ['scenario: se esperaba un objeto']);
+    assert.deepEqual(validateScenario({}), ['events: se esperaba una lista']);
+});
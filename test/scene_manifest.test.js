@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { assertValidManifest, expandSlots, validateManifest } from '../scripts/scene_manifest.js';
+
+const pueblo = JSON.parse(readFileSync(new URL('../scenes/pueblo.json', import.meta.url), 'utf8'));
+
+test('el manifiesto del pueblo es válido', () => {
+    assert.deepEqual(validateManifest(pueblo), []);
+});
+
+test('reporta claves desconocidas en cada sección', () => {
+    const manifest = structuredClone(pueblo);
+    manifest.extra = true;
+    manifest.buildingTypes.Casa.windResistence = 3;
+    manifest.propTypes.Coche.colider = 'box';
+    manifest.buildings = [{ slot: 'slot_0_0', type: 'Casa', rotacion: 90 }];
+    manifest.tornado = { initial: [{ intensty: 2 }] };
+
+    const paths = validateManifest(manifest).map((error) => error.split(':')[0]);
+    assert.deepEqual(paths, [
+        'extra',
+        'buildingTypes.Casa.windResistence',
+        'propTypes.Coche.colider',
+        'buildings[0].rotacion',
+        'tornado.initial[0].intensty'
+    ]);
+});
+
+test('reporta tipos, rangos y referencias inválidas', () => {
+    const errors = validateManifest({
+        seed: -1,
+        buildingTypes: { Casa: { intact: './casa.glb', constructionClass: 'paja' } },
+        slots: [{ id: 'a', position: [0, 0] }],
+        buildings: [{ slot: 'b', type: 'Chalet' }],
+        debris: { maxBodies: 'muchos' }
+    });
+
+    assert.ok(errors.some((error) => error.startsWith('seed: fuera de rango')));
+    assert.ok(errors.some((error) => error.startsWith('buildingTypes.Casa.cracked:')));
+    assert.ok(errors.some((error) => error.startsWith('buildingTypes.Casa.constructionClass: valor "paja"')));
+    assert.ok(errors.some((error) => error.startsWith('slots[0].position:')));
+    assert.ok(errors.some((error) => error === 'buildings[0].slot: el slot "b" no existe'));
+    assert.ok(errors.some((error) => error.startsWith('buildings[0].type:')));
+    assert.ok(errors.some((error) => error === 'debris.maxBodies: se esperaba un número'));
+});
+
+test('rechaza trayectorias de largo 0 y velocidades no positivas', () => {
+    const errors = validateManifest({
+        tornado: {
+            paths: {
+                Quieta: { waypoints: [[1, 0, 1], [1, 0, 1]] },
+                Lenta: { waypoints: [{ position: [0, 0, 0], speed: 0 }, [5, 0, 0]], speed: -2 }
+            }
+        }
+    });
+
+    assert.deepEqual(errors.map((error) => error.split(':')[0]), [
+        'tornado.paths.Quieta.waypoints',
+        'tornado.paths.Lenta.speed',
+        'tornado.paths.Lenta.waypoints[0].speed'
+    ]);
+});
+
+test('assertValidManifest junta todos los errores en uno', () => {
+    assert.throws(() => assertValidManifest({ name: 3, foo: 1 }), /Manifiesto inválido:\n- foo: clave desconocida/);
+});
+
+test('las cuadrículas de slots se expanden a slot_i_j', () => {
+    const slots = expandSlots({ grid: { origin: [0, 1, 0], columns: 2, rows: 2, spacing: [10, 5] }, size: 2 });
+    assert.deepEqual(slots, [
+        { id: 'slot_0_0', position: [0, 1, 0], size: 2 },
+        { id: 'slot_0_1', position: [0, 1, 5], size: 2 },
+        { id: 'slot_1_0', position: [10, 1, 0], size: 2 },
+        { id: 'slot_1_1', position: [10, 1, 5], size: 2 }
+    ]);
+});
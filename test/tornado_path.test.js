@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { TornadoPath } from '../scripts/tornado_path.js';
+
+function advance(path, seconds, steps) {
+    const position = path.getStartPosition();
+    const velocity = new THREE.Vector3();
+    for (let i = 0; i < steps; i++) {
+        path.update(seconds / steps, position, velocity);
+    }
+    return { position, velocity };
+}
+
+test('recorre los waypoints a la velocidad indicada y se detiene en el último', () => {
+    const path = new TornadoPath({ waypoints: [[0, 0, 0], [10, 0, 0]], speed: 4, mode: 'stop' });
+
+    const { position, velocity } = advance(path, 1, 1);
+    assert.ok(position.distanceTo(new THREE.Vector3(4, 0, 0)) < 1e-9);
+    assert.ok(Math.abs(velocity.x - 4) < 1e-9);
+
+    advance(path, 5, 1);
+    assert.equal(path.finished, true);
+});
+
+test('la spline avanza a velocidad uniforme (longitud de arco)', () => {
+    const path = new TornadoPath({
+        waypoints: [[0, 0, 0], [10, 0, 0], [20, 0, 10], [30, 0, 0]],
+        interpolation: 'catmullrom',
+        speed: 6,
+        mode: 'stop'
+    });
+    const position = path.getStartPosition();
+    const velocity = new THREE.Vector3();
+
+    for (let i = 0; i < 60 && !path.finished; i++) {
+        path.update(0.1, position, velocity);
+        if (!path.finished) assert.ok(Math.abs(velocity.length() - 6) < 0.1, `velocidad ${velocity.length()}`);
+    }
+});
+
+test('la velocidad de un waypoint se usa en el segmento que empieza en él', () => {
+    const path = new TornadoPath({ waypoints: [{ position: [0, 0, 0], speed: 2 }, [10, 0, 0]], speed: 8, mode: 'stop' });
+    const { velocity } = advance(path, 1, 10);
+    assert.ok(Math.abs(velocity.x - 2) < 1e-9);
+});
+
+test('rechaza trayectorias de largo 0 y velocidades no positivas', () => {
+    assert.throws(() => new TornadoPath({ waypoints: [[1, 0, 1], [1, 0, 1]] }), /la trayectoria mide 0/);
+    assert.throws(() => new TornadoPath({ waypoints: [[0, 0, 0], [10, 0, 0]], speed: 0 }), /mayores que 0/);
+    assert.throws(() => new TornadoPath({ waypoints: [{ position: [0, 0, 0], speed: -1 }, [10, 0, 0]] }), /mayores que 0/);
+});
+
+test('un segmento de largo 0 entre otros no detiene el recorrido', () => {
+    const path = new TornadoPath({ waypoints: [[0, 0, 0], [0, 0, 0], [10, 0, 0]], speed: 5, mode: 'loop' });
+    const { position } = advance(path, 1, 10);
+    assert.ok(position.distanceTo(new THREE.Vector3(5, 0, 0)) < 1e-9);
+});
+
+test('el modo errante se repite con la misma semilla', () => {
+    const options = { mode: 'wander', seed: 7, bounds: { minX: -20, maxX: 20, minZ: -20, maxZ: 20 } };
+    const a = advance(new TornadoPath(options), 30, 300).position;
+    const b = advance(new TornadoPath(options), 30, 300).position;
+    assert.deepEqual(a.toArray(), b.toArray());
+});